@@ -4,6 +4,11 @@ class Analytics {
         this.API_BASE = 'https://api.teamsheldon.tech';
         this.authToken = localStorage.getItem('authToken');
         this.charts = {};
+        this.schema = new SeasonSchema();
+        this.scoutingChartView = localStorage.getItem('scoutingChartView') === 'accuracy' ? 'accuracy' : 'activity';
+        this.scoutingResponses = [];
+        this.strategyGrouping = localStorage.getItem('strategyGrouping') || 'all';
+        this.strategiesResponse = null;
         this.init();
     }
 
@@ -33,6 +38,13 @@ class Analytics {
         // Initialize sidebar functionality
         this.initSidebar();
 
+        // Load the season schema that defines chart axes and strategy groupings
+        try {
+            this.schema = await SeasonSchema.load();
+        } catch (error) {
+            console.error('❌ Failed to load season schema:', error);
+        }
+
         // Load analytics data
         await this.loadAnalyticsData();
     }
@@ -655,37 +667,7 @@ class Analytics {
             this.charts.performance = new Chart(ctx, {
                 type: 'radar',
                 data: chartData,
-                options: {
-                    responsive: true,
-                    maintainAspectRatio: false,
-                    plugins: {
-                        legend: {
-                            position: 'bottom',
-                            labels: {
-                                color: '#ffffff',
-                                font: { size: 12 }
-                            }
-                        },
-                        title: {
-                            display: true,
-                            text: 'Team Performance Analysis (Real API Data)',
-                            font: { size: 16, weight: 'bold' },
-                            color: '#ffffff'
-                        }
-                    },
-                    scales: {
-                        r: {
-                            beginAtZero: true,
-                            max: 100,
-                            grid: { color: 'rgba(255, 255, 255, 0.2)' },
-                            pointLabels: { color: '#ffffff', font: { size: 11 } },
-                            ticks: { 
-                                display: false,
-                                color: '#ffffff'
-                            }
-                        }
-                    }
-                }
+                options: ChartHelpers.radarOptions('Team Performance Analysis (Real API Data)')
             });
             
             console.log('✅ Performance chart created with real API data');
@@ -784,6 +766,9 @@ class Analytics {
             }
 
             console.log('📊 Processing scouting data for', teams.length, 'teams and', whiteboards.length, 'whiteboards');
+            this.scoutingResponses = [teamsResponse, whiteboardsResponse];
+            const viewSelect = document.getElementById('scoutingChartView');
+            if (viewSelect) viewSelect.value = this.scoutingChartView;
             
             // Hide loading indicator
             if (loadingDiv) {
@@ -797,6 +782,11 @@ class Analytics {
                 return;
             }
 
+            if (this.scoutingChartView === 'accuracy') {
+                await this.createScoutAccuracyChart(canvas, teams);
+                return;
+            }
+
             const chartData = this.processRealScoutingData(whiteboards, teams);
             
             if (!chartData) {
@@ -841,6 +831,73 @@ class Analytics {
         }
     }
 
+    // Official results are imported on the Scouting page; fall back to that page's local copy when the API has none
+    async loadOfficialResults() {
+        const response = await this.safeFetch(`${this.API_BASE}/api/official-results`);
+        if (response.ok && Array.isArray(response.data) && response.data.length) {
+            return response.data;
+        }
+        try {
+            return JSON.parse(localStorage.getItem('officialResults') || '[]');
+        } catch (error) {
+            return [];
+        }
+    }
+
+    async createScoutAccuracyChart(canvas, teams) {
+        if (teams.length === 0) {
+            this.showNoDataMessage('scoutingChart', 'No scouting reports available from API');
+            return;
+        }
+        const results = await this.loadOfficialResults();
+        const chartData = this.processScoutAccuracyData(teams, results);
+        if (!chartData) {
+            console.warn('⚠️ No reports matched official results');
+            this.showNoDataMessage('scoutingChart', results.length
+                ? 'No scouting reports match the imported official results'
+                : 'No official results imported - import them from Scouting → Scout Accuracy');
+            return;
+        }
+
+        this.charts.scouting = new Chart(canvas.getContext('2d'), {
+            type: 'bar',
+            data: chartData,
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                scales: {
+                    x: { ticks: { color: '#ffffff' } },
+                    y: { min: -100, max: 100, ticks: { color: '#ffffff' } }
+                },
+                plugins: {
+                    legend: {
+                        position: 'bottom',
+                        labels: { color: '#ffffff', font: { size: 12 } }
+                    },
+                    title: {
+                        display: true,
+                        text: 'Scout Accuracy vs Official Results',
+                        font: { size: 16, weight: 'bold' },
+                        color: '#ffffff'
+                    }
+                }
+            }
+        });
+
+        console.log('✅ Scout accuracy chart created from', results.length, 'official results');
+    }
+
+    changeScoutingChartView(view) {
+        this.scoutingChartView = view === 'accuracy' ? 'accuracy' : 'activity';
+        localStorage.setItem('scoutingChartView', this.scoutingChartView);
+        // A no-data message replaces the canvas, so put it back before drawing the other view
+        const content = document.getElementById('scoutingChartContent');
+        if (content && !document.getElementById('scoutingChart')) {
+            content.innerHTML = '<canvas id="scoutingChart"></canvas>';
+        }
+        if (this.scoutingResponses.length) this.createScoutingChart(...this.scoutingResponses);
+    }
+
     // REMOVED: Sample scouting data function - ONLY USE REAL API DATA
 
     async createTimelineChart(apiResponse) {
@@ -948,6 +1005,9 @@ class Analytics {
         }
 
         const targetContainer = container || strategiesList;
+        this.strategiesResponse = apiResponse;
+        const groupingSelect = document.getElementById('strategyGrouping');
+        if (groupingSelect) groupingSelect.value = this.strategyGrouping;
 
         try {
             let teams = [];
@@ -964,7 +1024,7 @@ class Analytics {
                 return;
             }
             
-            const strategies = this.processRealStrategiesData(teams);
+            const strategies = this.processRealStrategiesData(teams, this.strategyGrouping);
             
             if (!strategies || strategies.length === 0) {
                 console.warn('⚠️ No processable strategy data from API');
@@ -982,13 +1042,13 @@ class Analytics {
                 <div class="strategy-item">
                     <div class="strategy-header">
                         <div class="strategy-rank">${strategy.rank}</div>
-                        <div class="strategy-name">${strategy.name}</div>
+                        <div class="strategy-name">${ScoutingData.escapeHtml(strategy.name)}</div>
                         <div class="strategy-stats">
                             <span class="strategy-teams">${strategy.teams} teams</span>
                             <span class="strategy-percentage">${strategy.percentage}%</span>
                         </div>
                     </div>
-                    <div class="strategy-description">${strategy.description}</div>
+                    <div class="strategy-description">${ScoutingData.escapeHtml(strategy.description)}</div>
                 </div>
             `).join('');
 
@@ -1012,47 +1072,18 @@ class Analytics {
 
         console.log('📊 Processing performance data for', teams.length, 'teams');
 
-        // Reliability and consistency mapping from old system
-        const reliabilityToNumber = {
-            'Very High': 5,
-            'High': 4,
-            'Medium': 3,
-            'Low': 2,
-            'Very Low': 1
-        };
-
-        const consistencyToNumber = {
-            'Very Consistent': 5,
-            'Consistent': 4,
-            'Somewhat Consistent': 3,
-            'Inconsistent': 2,
-            'Very Inconsistent': 1
-        };
-
-        // Extract real performance metrics using actual field names from API
-        const performanceCategories = {
-            autonomous: [],
-            teleop: [],
-            endgame: [],
-            overall: [],
-            consistency: []
-        };
+        // Radar axes come from the season schema fields that declare a chartLabel
+        const chartFields = this.schema.chartFields();
+        const performanceCategories = {};
+        chartFields.forEach(field => { performanceCategories[field.key] = []; });
 
         teams.forEach(team => {
-            // Look for actual performance metrics in team data (using old system field names)
-            if (team.autonomousReliability && reliabilityToNumber[team.autonomousReliability]) {
-                performanceCategories.autonomous.push(reliabilityToNumber[team.autonomousReliability]);
-            }
-            if (team.teleopReliability && reliabilityToNumber[team.teleopReliability]) {
-                performanceCategories.teleop.push(reliabilityToNumber[team.teleopReliability]);
-            }
-            if (team.overallReliability && reliabilityToNumber[team.overallReliability]) {
-                performanceCategories.endgame.push(reliabilityToNumber[team.overallReliability]);
-                performanceCategories.overall.push(reliabilityToNumber[team.overallReliability]);
-            }
-            if (team.autonomousConsistency && consistencyToNumber[team.autonomousConsistency]) {
-                performanceCategories.consistency.push(consistencyToNumber[team.autonomousConsistency]);
-            }
+            chartFields.forEach(field => {
+                const score = this.schema.getNormalizedScore(team, field);
+                if (score !== null) {
+                    performanceCategories[field.key].push(score);
+                }
+            });
         });
 
         console.log('📊 Performance categories extracted:', performanceCategories);
@@ -1078,24 +1109,10 @@ class Analytics {
         }
 
         return {
-            labels: ['Autonomous', 'Teleop', 'Endgame', 'Overall', 'Consistency'],
-            datasets: [{
-                label: 'Team Performance',
-                data: [
-                    Math.round(avgMetrics.autonomous * 20) / 20, // Scale 1-5 to display nicely
-                    Math.round(avgMetrics.teleop * 20) / 20,
-                    Math.round(avgMetrics.endgame * 20) / 20,
-                    Math.round(avgMetrics.overall * 20) / 20,
-                    Math.round(avgMetrics.consistency * 20) / 20
-                ],
-                borderColor: '#3498db',
-                backgroundColor: 'rgba(52, 152, 219, 0.2)',
-                borderWidth: 2,
-                pointBackgroundColor: '#3498db',
-                pointBorderColor: '#ffffff',
-                pointBorderWidth: 2,
-                pointRadius: 5
-            }]
+            labels: chartFields.map(field => field.chartLabel),
+            datasets: [
+                ChartHelpers.radarDataset('Team Performance', chartFields.map(field => Math.round(avgMetrics[field.key]))) // Already scaled to 0-100
+            ]
         };
     }
 
@@ -1159,6 +1176,37 @@ class Analytics {
         };
     }
 
+    // Accuracy and bias per scout, labelled with how many of their reports had an official result to compare against
+    processScoutAccuracyData(teamsData, officialResults) {
+        if (!Array.isArray(teamsData) || !Array.isArray(officialResults) || officialResults.length === 0) {
+            return null;
+        }
+
+        const scouts = ScoutAccuracy.score(teamsData, officialResults, this.schema)
+            .filter(entry => entry.compared > 0)
+            .slice(0, 8);
+
+        if (scouts.length === 0) {
+            return null;
+        }
+
+        return {
+            labels: scouts.map(entry => `${entry.scout} (${entry.matched}/${entry.reports})`),
+            datasets: [
+                {
+                    label: 'Accuracy (%)',
+                    data: scouts.map(entry => Math.round(entry.accuracy)),
+                    backgroundColor: '#2ecc71'
+                },
+                {
+                    label: 'Bias (points)',
+                    data: scouts.map(entry => entry.bias === null ? 0 : Math.round(entry.bias * 10) / 10),
+                    backgroundColor: '#f39c12'
+                }
+            ]
+        };
+    }
+
     processRealTimelineData(teams) {
         if (!Array.isArray(teams) || teams.length === 0) {
             return null;
@@ -1199,12 +1247,21 @@ class Analytics {
         };
     }
 
-    processRealStrategiesData(teams) {
+    changeStrategyGrouping(grouping) {
+        this.strategyGrouping = ['fields', 'tags'].includes(grouping) ? grouping : 'all';
+        localStorage.setItem('strategyGrouping', this.strategyGrouping);
+        if (this.strategiesResponse) this.loadPopularStrategies(this.strategiesResponse);
+    }
+
+    // groupBy: 'fields' (schema strategy fields such as startingPositions and allianceRoles), 'tags' (record tags) or 'all'
+    processRealStrategiesData(teams, groupBy = 'all') {
         if (!Array.isArray(teams) || teams.length === 0) {
             return [];
         }
 
-        console.log('📊 Processing strategies for', teams.length, 'teams');
+        console.log('📊 Processing strategies for', teams.length, 'teams grouped by', groupBy);
+        const useFields = groupBy !== 'tags';
+        const useTags = groupBy !== 'fields';
 
         const strategyMap = {};
         const totalTeams = teams.length;
@@ -1213,54 +1270,36 @@ class Analytics {
         teams.forEach(team => {
             let strategies = [];
 
-            // Check startingPositions array (from old system)
-            if (team.startingPositions && Array.isArray(team.startingPositions)) {
-                team.startingPositions.forEach(pos => {
-                    strategies.push({
-                        name: `${pos} Starting Position`,
-                        description: `Teams starting from ${pos.toLowerCase()} position`
-                    });
-                });
-            }
-
-            // Check allianceRoles array (from old system)
-            if (team.allianceRoles && Array.isArray(team.allianceRoles)) {
-                team.allianceRoles.forEach(role => {
-                    strategies.push({
-                        name: `${role} Role`,
-                        description: `Teams specializing in ${role.toLowerCase()} role`
-                    });
-                });
-            }
-
-            // Check autonomous tasks
-            if (team.autonomousTasks) {
-                const tasks = team.autonomousTasks.toLowerCase();
-                if (tasks.includes('score') || tasks.includes('scoring')) {
-                    strategies.push({
-                        name: 'Autonomous Scoring',
-                        description: 'Teams focused on autonomous scoring'
+            (useFields ? this.schema.fields : []).forEach(field => {
+                const value = this.schema.getValue(team, field);
+                if (value === undefined) return;
+
+                // Fields with a strategy template turn each selected value into a strategy
+                if (field.strategy) {
+                    (Array.isArray(value) ? value : [value]).forEach(item => {
+                        strategies.push({
+                            name: this.schema.fillTemplate(field.strategy.name, item),
+                            description: this.schema.fillTemplate(field.strategy.description, item)
+                        });
                     });
                 }
-                if (tasks.includes('mobility') || tasks.includes('move')) {
-                    strategies.push({
-                        name: 'Mobility Strategy',
-                        description: 'Teams prioritizing mobility in autonomous'
-                    });
+
+                // Free-text fields map keywords onto strategies
+                if (field.keywords && typeof value === 'string') {
+                    const text = value.toLowerCase();
+                    field.keywords
+                        .filter(keyword => keyword.match.some(word => text.includes(word)))
+                        .forEach(keyword => strategies.push({ name: keyword.name, description: keyword.description }));
                 }
-                if (tasks.includes('balance') || tasks.includes('dock')) {
+            });
+
+            // Tags are free-form, so each one becomes its own strategy
+            if (useTags) {
+                ScoutingData.getTags(team).forEach(tag => {
                     strategies.push({
-                        name: 'Balancing/Docking',
-                        description: 'Teams specializing in balancing or docking'
+                        name: ScoutingData.tagKey(tag).replace(/\b\w/g, letter => letter.toUpperCase()),
+                        description: `Teams tagged "${tag}"`
                     });
-                }
-            }
-
-            // Check reliability categories as strategies
-            if (team.overallReliability) {
-                strategies.push({
-                    name: `${team.overallReliability} Reliability`,
-                    description: `Teams with ${team.overallReliability.toLowerCase()} overall reliability`
                 });
             }
 
@@ -1309,6 +1348,18 @@ function refreshAnalytics() {
     }
 }
 
+function changeScoutingChartView(view) {
+    if (window.analytics) {
+        window.analytics.changeScoutingChartView(view);
+    }
+}
+
+function changeStrategyGrouping(grouping) {
+    if (window.analytics) {
+        window.analytics.changeStrategyGrouping(grouping);
+    }
+}
+
 function exportAnalytics() {
     console.log('📊 Export functionality to be implemented');
     // TODO: Implement analytics export functionality
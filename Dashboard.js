@@ -36,6 +36,10 @@ class Dashboard {
         this.refreshInterval = null;
         this.cache = new Map(); // Add caching system
         this.cacheExpiry = 5 * 60 * 1000; // 5 minutes cache
+        this.live = null;
+        this.liveConnected = false;
+        this.liveRefreshTimer = null;
+        this.lastLiveEvent = null;
         
         // Load user info into sidebar
         this.loadUserInfo();
@@ -188,6 +192,7 @@ class Dashboard {
         this.setupEventListeners();
         await this.loadDashboardData();
         this.startAutoRefresh();
+        this.startLiveUpdates();
         this.showNotification('Dashboard Loaded', 'Information loaded successfully', 'success');
     }
 
@@ -1528,6 +1533,51 @@ class Dashboard {
         }, 600000); // Refresh every 10 minutes instead of 5
     }
 
+    // Scouting changes are pushed over the live channel so the team counts move between refreshes
+    startLiveUpdates() {
+        if (typeof LiveUpdates === 'undefined') return;
+        this.live = new LiveUpdates({
+            apiBase: this.API_BASE,
+            token: this.API_KEY,
+            onEvent: (event) => this.applyLiveEvent(event),
+            onStatus: (status) => this.setLiveStatus(status)
+        });
+        this.live.connect();
+    }
+
+    setLiveStatus(status) {
+        const indicator = document.getElementById('liveStatus');
+        if (indicator) indicator.className = `status-indicator ${{ live: 'online', connecting: 'warning', offline: 'offline' }[status]}`;
+        if (!this.lastLiveEvent) this.setElementText('liveUpdateText', status === 'live' ? 'Live Updates' : status === 'connecting' ? 'Connecting...' : 'Not Live');
+        // Changes made while the channel was down are caught up on reconnect
+        if (status === 'live' && this.liveConnected) this.loadTeamsStatistics(this.getHeaders());
+        if (status === 'live') this.liveConnected = true;
+    }
+
+    // Events are only hints: the record is checked with the API and the counts are re-read from it,
+    // and a burst of events causes a single reload
+    async applyLiveEvent(event) {
+        console.log('📡 Live update:', event.type, event.recordId);
+        const response = await this.safeFetch(`${this.API_BASE}/api/teams/${encodeURIComponent(event.recordId)}`, { headers: this.getHeaders() });
+        const exists = response.success;
+        const missing = !response.success && String(response.message || '').startsWith('HTTP 404');
+        if (event.type === 'team.deleted' ? !missing : !exists) {
+            console.warn('⚠️ Ignoring live update the API does not confirm:', event.type, event.recordId);
+            return;
+        }
+        if (event.type !== 'team.updated') {
+            clearTimeout(this.liveRefreshTimer);
+            this.liveRefreshTimer = setTimeout(() => this.loadTeamsStatistics(this.getHeaders()), 2000);
+        }
+        const record = exists ? response.data || {} : {};
+        const action = { 'team.created': 'added', 'team.updated': 'updated', 'team.deleted': 'deleted' }[event.type];
+        const teamNumber = record.teamNumber || record.number;
+        this.lastLiveEvent = event;
+        this.setElementText('liveUpdateText', `${teamNumber ? `Team ${teamNumber}` : 'Report'} ${action} by ${event.user || 'another scout'}`);
+        const item = document.getElementById('liveIndicator');
+        if (item) item.title = `Last update ${new Date(event.at || Date.now()).toLocaleTimeString()}`;
+    }
+
     showNotification(title, message, type = 'info') {
         // Use the unified notification system
         if (window.notificationManager) {
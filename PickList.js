@@ -0,0 +1,448 @@
+/**
+ * Pick List Builder
+ * Drag-and-drop alliance selection lists built on scouting data, saved per event through the API
+ */
+
+class PickListManager {
+    constructor() {
+        this.API_BASE = 'https://api.teamsheldon.tech';
+        this.LISTS = [
+            { key: 'available', label: 'Available', icon: 'fa-users' },
+            { key: 'firstPick', label: 'First Pick', icon: 'fa-star' },
+            { key: 'secondPick', label: 'Second Pick', icon: 'fa-star-half-alt' },
+            { key: 'doNotPick', label: 'Do Not Pick', icon: 'fa-ban' }
+        ];
+        this.schema = new SeasonSchema();
+        this.records = [];
+        this.profiles = new Map();
+        this.eventKey = localStorage.getItem('scoutingEventKey') || '';
+        this.pickList = this.emptyPickList();
+        this.draggedTeam = null;
+        this.saveTimeout = null;
+        this.hasUnsavedChanges = false;
+        // Bumped on every edit so a save only marks the list clean when nothing changed while it was in flight
+        this.revision = 0;
+        this.saving = null;
+        this.SAVE_RETRY_DELAY = 15000;
+
+        this.init();
+    }
+
+    async init() {
+        try {
+            this.schema = await SeasonSchema.load();
+        } catch (error) {
+            console.error('Error loading season schema:', error);
+        }
+        this.setupEventListeners();
+        await this.loadUserInfo();
+        await this.loadTeams();
+        await this.loadPickList();
+        // Pick up changes made by the rest of the drive team, but never under a note being typed or a drag
+        setInterval(() => {
+            if (!this.hasUnsavedChanges && !this.isEditing()) this.loadPickList(false);
+        }, 30000);
+    }
+
+    // Notes only report their text on change, so a focused notes field may hold edits not marked yet
+    isEditing() {
+        return Boolean(this.draggedTeam) || Boolean(document.activeElement?.classList?.contains('pick-notes'));
+    }
+
+    emptyPickList() {
+        return { firstPick: [], secondPick: [], doNotPick: [], picked: [], notes: {} };
+    }
+
+    async loadUserInfo() {
+        try {
+            const stored = localStorage.getItem('userInfo');
+            if (stored) this.updateUserDisplay(JSON.parse(stored));
+        } catch (error) {
+            console.error('Error loading user info:', error);
+        }
+    }
+
+    updateUserDisplay(userInfo) {
+        this.setElementText('sidebarUserName', userInfo.username || userInfo.name || 'Admin User');
+        this.setElementText('sidebarUserRole', userInfo.role || userInfo.userRole || 'Administrator');
+        this.setElementText('sidebarUserEmail', userInfo.email || userInfo.userEmail || 'admin@teamsheldon.tech');
+    }
+
+    setElementText(id, text) {
+        const el = document.getElementById(id);
+        if (el) el.textContent = text;
+    }
+
+    escapeHtml(value) {
+        return ScoutingData.escapeHtml(value);
+    }
+
+    setupEventListeners() {
+        document.getElementById('pickEventKey')?.addEventListener('change', (e) => this.changeEvent(e.target.value.trim()));
+
+        const board = document.getElementById('pickBoard');
+        if (board) {
+            board.addEventListener('dragstart', (e) => {
+                const card = e.target.closest('.pick-team');
+                if (!card) return;
+                this.draggedTeam = card.dataset.team;
+                card.classList.add('dragging');
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', card.dataset.team);
+            });
+            board.addEventListener('dragend', (e) => {
+                e.target.closest('.pick-team')?.classList.remove('dragging');
+                board.querySelectorAll('.drag-over').forEach(el => el.classList.remove('drag-over'));
+                this.draggedTeam = null;
+            });
+            board.addEventListener('dragover', (e) => {
+                const column = e.target.closest('.pick-column-body');
+                if (!column || !this.draggedTeam) return;
+                e.preventDefault();
+                board.querySelectorAll('.drag-over').forEach(el => el !== column && el.classList.remove('drag-over'));
+                column.classList.add('drag-over');
+            });
+            board.addEventListener('drop', (e) => {
+                const column = e.target.closest('.pick-column-body');
+                if (!column) return;
+                e.preventDefault();
+                const team = e.dataTransfer.getData('text/plain') || this.draggedTeam;
+                const target = e.target.closest('.pick-team');
+                let index = null;
+                if (target && target.dataset.team !== team) {
+                    // Drop above the hovered card when the pointer is in its top half
+                    const rect = target.getBoundingClientRect();
+                    index = Number(target.dataset.index) + (e.clientY > rect.top + rect.height / 2 ? 1 : 0);
+                }
+                this.moveTeam(team, column.dataset.list, index);
+            });
+            board.addEventListener('click', (e) => {
+                const pickedBtn = e.target.closest('.pick-toggle');
+                if (pickedBtn) this.togglePicked(pickedBtn.closest('.pick-team').dataset.team);
+            });
+            board.addEventListener('change', (e) => {
+                if (e.target.classList.contains('pick-notes')) {
+                    this.updateNotes(e.target.closest('.pick-team').dataset.team, e.target.value);
+                }
+            });
+        }
+
+        window.addEventListener('beforeunload', (e) => {
+            if (this.hasUnsavedChanges) e.preventDefault();
+        });
+
+        const sidebarToggle = document.getElementById('sidebarToggle');
+        const burgerMenuBtn = document.getElementById('burgerMenuBtn');
+        if (sidebarToggle) sidebarToggle.addEventListener('click', () => this.toggleSidebar());
+        if (burgerMenuBtn) burgerMenuBtn.addEventListener('click', () => this.toggleSidebar());
+    }
+
+    toggleSidebar() {
+        const sidebar = document.getElementById('dashboardSidebar');
+        const burgerMenuBtn = document.getElementById('burgerMenuBtn');
+        if (sidebar) {
+            sidebar.classList.toggle('hidden');
+            if (burgerMenuBtn) {
+                burgerMenuBtn.style.display = sidebar.classList.contains('hidden') ? 'flex' : 'none';
+            }
+        }
+    }
+
+    async loadTeams() {
+        try {
+            const token = localStorage.getItem('authToken');
+            const response = await fetch(`${this.API_BASE}/api/teams`, {
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    'Content-Type': 'application/json'
+                }
+            });
+            if (!response.ok) throw new Error(`Failed to load teams: ${response.status}`);
+            const data = await response.json();
+            this.records = Array.isArray(data) ? data : (data.data || data.teams || []);
+        } catch (error) {
+            console.error('Error loading scouting data:', error);
+            showNotification('Failed to load scouting data', 'error');
+            this.records = [];
+        }
+        this.populateEventOptions();
+        this.buildProfiles();
+    }
+
+    populateEventOptions() {
+        const list = document.getElementById('pickEventOptions');
+        const input = document.getElementById('pickEventKey');
+        const events = [...new Set(this.records.map(r => r.eventKey).filter(Boolean))].sort();
+        if (list) list.innerHTML = events.map(key => `<option value="${this.escapeHtml(key)}">`).join('');
+        if (!this.eventKey && events.length) this.eventKey = events[events.length - 1];
+        if (input) input.value = this.eventKey;
+    }
+
+    // Only the selected event's reports count; older data without an event key is used when the event has none
+    buildProfiles() {
+        const forEvent = this.records.filter(r => r.eventKey === this.eventKey);
+        const records = forEvent.length ? forEvent : this.records.filter(r => !r.eventKey);
+        this.profiles = new Map(ScoutingData.buildTeamProfiles(records, this.schema).map(p => [String(p.teamNumber), p]));
+    }
+
+    // Stays on the current event while its changes cannot be saved, so they are not left behind unsaved
+    async changeEvent(eventKey) {
+        if (eventKey === this.eventKey) return;
+        if (this.hasUnsavedChanges && this.eventKey && !await this.savePickList()) {
+            const input = document.getElementById('pickEventKey');
+            if (input) input.value = this.eventKey;
+            showNotification('Save the pick list for this event before switching to another one', 'warning');
+            return;
+        }
+        // Changes made without an event key cannot be saved anywhere and are dropped with the switch
+        clearTimeout(this.saveTimeout);
+        this.hasUnsavedChanges = false;
+        this.revision++;
+        this.eventKey = eventKey;
+        if (eventKey) localStorage.setItem('scoutingEventKey', eventKey);
+        this.buildProfiles();
+        await this.loadPickList();
+    }
+
+    getCacheKey() {
+        return `pickList:${this.eventKey || 'default'}`;
+    }
+
+    async loadPickList(showErrors = true) {
+        if (!this.eventKey) {
+            this.pickList = this.emptyPickList();
+            this.render();
+            return;
+        }
+        const revision = this.revision;
+        try {
+            const token = localStorage.getItem('authToken');
+            const response = await fetch(`${this.API_BASE}/api/picklists/${encodeURIComponent(this.eventKey)}`, {
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    'Content-Type': 'application/json'
+                }
+            });
+            // An edit made while the list was loading wins over the server copy
+            if (revision !== this.revision) return;
+            if (response.status === 404) {
+                this.pickList = this.emptyPickList();
+            } else if (response.ok) {
+                const data = await response.json();
+                this.pickList = { ...this.emptyPickList(), ...(data.data || data) };
+                localStorage.setItem(this.getCacheKey(), JSON.stringify(this.pickList));
+                this.setSaveStatus(this.pickList.updatedBy ? `Last saved by ${this.pickList.updatedBy}` : 'Saved');
+            } else {
+                throw new Error(`Failed to load pick list: ${response.status}`);
+            }
+        } catch (error) {
+            console.error('Error loading pick list:', error);
+            if (revision !== this.revision) return;
+            const cached = localStorage.getItem(this.getCacheKey());
+            this.pickList = cached ? { ...this.emptyPickList(), ...JSON.parse(cached) } : this.emptyPickList();
+            if (showErrors) showNotification('Could not reach the server - showing the pick list saved on this device', 'warning');
+            this.setSaveStatus('Offline copy');
+        }
+        this.render();
+    }
+
+    listOf(team) {
+        return ['firstPick', 'secondPick', 'doNotPick'].find(key => this.pickList[key].includes(team)) || 'available';
+    }
+
+    // Scouted teams that are not on a list yet, strongest reliability first
+    getAvailableTeams() {
+        const listed = new Set([...this.pickList.firstPick, ...this.pickList.secondPick, ...this.pickList.doNotPick]);
+        return [...this.profiles.values()]
+            .filter(profile => !listed.has(String(profile.teamNumber)))
+            .sort((a, b) => (b.averageReliability ?? 0) - (a.averageReliability ?? 0) || a.teamNumber - b.teamNumber)
+            .map(profile => String(profile.teamNumber));
+    }
+
+    moveTeam(team, list, index = null) {
+        if (!team || !list) return;
+        const from = this.listOf(team) === list ? this.pickList[list]?.indexOf(team) ?? -1 : -1;
+        if (index !== null && from !== -1 && from < index) index--;
+        ['firstPick', 'secondPick', 'doNotPick'].forEach(key => {
+            this.pickList[key] = this.pickList[key].filter(t => t !== team);
+        });
+        if (list !== 'available') {
+            const target = this.pickList[list];
+            target.splice(index === null ? target.length : Math.min(index, target.length), 0, team);
+        }
+        this.markChanged();
+    }
+
+    togglePicked(team) {
+        const picked = new Set(this.pickList.picked);
+        if (picked.has(team)) picked.delete(team);
+        else picked.add(team);
+        this.pickList.picked = [...picked];
+        this.markChanged();
+    }
+
+    updateNotes(team, text) {
+        if (text.trim()) this.pickList.notes[team] = text.trim();
+        else delete this.pickList.notes[team];
+        this.markChanged(false);
+    }
+
+    clearPicked() {
+        this.pickList.picked = [];
+        this.markChanged();
+    }
+
+    markChanged(rerender = true) {
+        this.revision++;
+        this.hasUnsavedChanges = true;
+        localStorage.setItem(this.getCacheKey(), JSON.stringify(this.pickList));
+        this.setSaveStatus('Unsaved changes');
+        if (rerender) this.render();
+        clearTimeout(this.saveTimeout);
+        this.saveTimeout = setTimeout(() => this.savePickList(), 800);
+    }
+
+    // Only one save runs at a time; edits made during it are saved by a follow-up save once it finishes.
+    // Resolves to true when the server has every change.
+    async savePickList() {
+        clearTimeout(this.saveTimeout);
+        if (!this.eventKey) {
+            showNotification('Enter an event key to save the pick list', 'warning');
+            return false;
+        }
+        if (this.saving) {
+            await this.saving;
+            if (!this.hasUnsavedChanges) return true;
+        }
+        this.saving = this.putPickList();
+        try {
+            await this.saving;
+        } finally {
+            this.saving = null;
+        }
+        return !this.hasUnsavedChanges;
+    }
+
+    async putPickList() {
+        this.setSaveStatus('Saving...');
+        const revision = this.revision;
+        const eventKey = this.eventKey;
+        const body = {
+            ...this.pickList,
+            eventKey: this.eventKey,
+            updatedAt: new Date().toISOString(),
+            updatedBy: document.getElementById('sidebarUserName')?.textContent || ''
+        };
+        try {
+            const token = localStorage.getItem('authToken');
+            const response = await fetch(`${this.API_BASE}/api/picklists/${encodeURIComponent(eventKey)}`, {
+                method: 'PUT',
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(body)
+            });
+            if (!response.ok) throw new Error(`Failed to save pick list: ${response.status}`);
+            if (eventKey !== this.eventKey) return;
+            if (revision !== this.revision) {
+                // The list changed while saving; keep those edits and save them next
+                this.saveTimeout = setTimeout(() => this.savePickList(), 800);
+                return;
+            }
+            this.pickList = { ...this.pickList, updatedAt: body.updatedAt, updatedBy: body.updatedBy };
+            this.hasUnsavedChanges = false;
+            localStorage.setItem(this.getCacheKey(), JSON.stringify(this.pickList));
+            this.setSaveStatus('Saved');
+        } catch (error) {
+            console.error('Error saving pick list:', error);
+            this.setSaveStatus('Saved on this device only');
+            showNotification('Failed to save pick list to the server', 'error');
+            // Polling stays off while there are unsaved changes, so keep retrying until the server has them
+            if (eventKey === this.eventKey) {
+                clearTimeout(this.saveTimeout);
+                this.saveTimeout = setTimeout(() => this.savePickList(), this.SAVE_RETRY_DELAY);
+            }
+        }
+    }
+
+    setSaveStatus(text) {
+        this.setElementText('pickSaveStatus', text);
+    }
+
+    renderTeamCard(team, index, list) {
+        const profile = this.profiles.get(team);
+        const picked = this.pickList.picked.includes(team);
+        const ranked = list === 'firstPick' || list === 'secondPick';
+        const reliability = profile && profile.averageReliability !== null
+            ? `${profile.reliability} (${profile.averageReliability.toFixed(1)})`
+            : 'Not scouted';
+        return `
+            <div class="pick-team${picked ? ' picked' : ''}" draggable="true" data-team="${this.escapeHtml(team)}" data-index="${index}">
+                <div class="pick-team-header">
+                    ${ranked ? `<span class="pick-rank">${index + 1}</span>` : ''}
+                    <span class="team-number">${this.escapeHtml(team)}</span>
+                    <span class="pick-team-name">${this.escapeHtml(profile?.teamName || '')}</span>
+                    <button class="pick-toggle" title="${picked ? 'Mark as available' : 'Mark as already picked'}">
+                        <i class="fas ${picked ? 'fa-undo' : 'fa-check'}"></i>
+                    </button>
+                </div>
+                <div class="pick-team-meta">
+                    <span><i class="fas fa-star"></i> ${this.escapeHtml(reliability)}</span>
+                    <span><i class="fas fa-list-ol"></i> ${profile ? profile.matchCount : 0} matches</span>
+                </div>
+                <textarea class="pick-notes" rows="1" placeholder="Notes">${this.escapeHtml(this.pickList.notes[team] || '')}</textarea>
+            </div>
+        `;
+    }
+
+    render() {
+        const board = document.getElementById('pickBoard');
+        if (!board) return;
+        const teams = {
+            available: this.getAvailableTeams(),
+            firstPick: this.pickList.firstPick,
+            secondPick: this.pickList.secondPick,
+            doNotPick: this.pickList.doNotPick
+        };
+        board.innerHTML = this.LISTS.map(list => `
+            <section class="pick-column pick-column-${list.key}">
+                <header class="pick-column-header">
+                    <h3><i class="fas ${list.icon}"></i> ${list.label}</h3>
+                    <span class="pick-count">${teams[list.key].length}</span>
+                </header>
+                <div class="pick-column-body" data-list="${list.key}">
+                    ${teams[list.key].map((team, index) => this.renderTeamCard(team, index, list.key)).join('') ||
+                        '<div class="pick-empty">Drag teams here</div>'}
+                </div>
+            </section>
+        `).join('');
+        this.setElementText('pickedCount', `${this.pickList.picked.length} picked`);
+    }
+}
+
+function performLogout() {
+    localStorage.removeItem('adminToken');
+    localStorage.removeItem('authToken');
+    localStorage.removeItem('userEmail');
+    localStorage.removeItem('userRole');
+    localStorage.removeItem('sessionId');
+    sessionStorage.clear();
+    setTimeout(() => {
+        window.location.href = 'index.html';
+    }, 500);
+}
+
+if (typeof window !== 'undefined') {
+    window.addEventListener('DOMContentLoaded', () => {
+        const manager = new PickListManager();
+        window.pickList = manager;
+        window.refreshPickList = () => manager.loadPickList();
+        window.savePickList = () => manager.savePickList();
+        window.clearPicked = () => manager.clearPicked();
+    });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PickListManager;
+}
@@ -10,17 +10,199 @@ class ScoutingManager {
         this.teamsPerPage = parseInt(document.getElementById('teamsPerPage')?.value || '24', 10);
         this.allTeams = [];
         this.filteredTeams = [];
-        this.currentSort = { field: 'teamNumber', direction: 'asc' };
+        this.currentSort = [{ field: 'teamNumber', direction: 'asc' }];
+        this.viewLevel = document.getElementById('viewLevel')?.value || 'match';
+        this.displayMode = localStorage.getItem('scoutingDisplayMode') === 'table' ? 'table' : 'grid';
+        this.teamsList = null;
+        this.DEFAULT_TABLE_COLUMNS = [
+            { key: 'teamNumber', width: 90 },
+            { key: 'teamName', width: 220 },
+            { key: 'match', width: 170 },
+            { key: 'scoutName', width: 140 },
+            { key: 'date', width: 120 },
+            { key: 'score', width: 110 }
+        ];
+        this.MIN_COLUMN_WIDTH = 60;
+        this.tableColumns = this.loadTableColumns();
+        this.draggedColumn = null;
+        this.columnResize = null;
+        this.teamsVersion = 0;
+        this.teamProfiles = [];
+        this.profilesVersion = -1;
+        this.scoresKey = null;
+        this.filterWorker = null;
+        this.workerTeamsVersion = -1;
+        this.filterRequestId = 0;
+        this.filterRequests = new Map();
+        this.schema = new SeasonSchema();
+        this.importData = null;
+        this.compareTeams = new Set();
+        this.compareChart = null;
+        this.MAX_COMPARE = 6;
+        this.formulas = [];
+        this.activeFormula = null;
+        this.weightOverrides = {};
+        this.teamScores = new Map();
+        this.schedule = [];
+        this.scheduleChart = null;
+        this.roster = [];
+        this.assignments = {};
+        this.assignmentSchedule = [];
+        this.assignmentTimer = null;
+        this.selectedRecords = new Set();
+        this.pitReports = new Map();
+        this.pitPhotos = [];
+        this.MAX_PIT_PHOTOS = 6;
+        this.qrChunks = [];
+        this.qrIndex = 0;
+        this.qrRecordCount = 0;
+        this.qrTimer = null;
+        this.qrScanner = null;
+        this.qrTransfers = new Map();
+        this.qrImported = new Set();
+        this.searchSuggestions = null;
+        this.activeSuggestion = 0;
+        this.DEFAULT_TEAMS_PER_PAGE = this.teamsPerPage;
+        this.viewStateReady = false;
+        this.savedViews = [];
+        this.sharedViewQuery = '';
+        this.tagFilters = new Set();
+        this.TRASH_RETENTION_DAYS = 30;
+        this.qualityResults = [];
+        this.qualityRule = '';
+        this.duplicateClusters = [];
+        this.duplicatesAnyScout = false;
+        this.mergeCluster = null;
+        this.mergeFields = [];
+        this.mergeChoices = {};
+        this.mergeKeeper = 0;
+        this.officialResults = [];
+        this.teamComments = new Map();
+        this.commentsTeam = null;
+        this.replyTo = null;
         this.selectedTeam = null;
+        this.LOCAL_ID_PREFIX = 'local-';
+        this.offlineQueue = typeof OfflineQueue !== 'undefined' ? new OfflineQueue() : null;
+        this.pendingOperations = [];
+        this.isSyncing = false;
+        this.live = null;
+        this.liveConnected = false;
+        this.lastLiveEvent = null;
 
         this.init();
     }
 
     async init() {
+        await this.loadSchema();
         this.setupEventListeners();
+        this.setupTeamsList();
+        this.filterWorker = this.startFilterWorker();
         await this.loadUserInfo();
         this.updateStatusIndicators();
+        const urlState = new URLSearchParams(window.location.search);
+        this.applyViewState(urlState);
         await this.loadTeams();
+        await this.finishViewStateRestore(urlState);
+        await this.loadSavedViews();
+        this.announceSharedView(urlState);
+        this.viewStateReady = true;
+        this.syncViewStateToUrl();
+        await this.loadPitReports();
+        await this.loadAssignments();
+        await this.loadMentions();
+        this.startLiveUpdates();
+        if (navigator.onLine) this.syncOfflineQueue();
+    }
+
+    async loadSchema() {
+        try {
+            this.schema = await SeasonSchema.load();
+        } catch (error) {
+            console.error('Error loading season schema:', error);
+            showNotification('Failed to load the season scouting schema', 'error');
+        }
+        this.renderReportForm();
+        this.renderPitForm();
+        this.renderSchemaFilters();
+        this.renderEditOptions();
+        this.loadFormulas();
+    }
+
+    getFieldOptions(field) {
+        if (field.type === 'rating') return Object.keys(this.schema.getScale(field));
+        return (field.options || []).map(String);
+    }
+
+    renderFormField(field, prefix = 'report') {
+        const id = `${prefix}-${field.key}`;
+        const required = field.required ? ' required' : '';
+        const placeholder = field.placeholder ? ` placeholder="${this.escapeHtml(field.placeholder)}"` : '';
+        let control;
+        switch (field.type) {
+            case 'select':
+            case 'rating':
+                control = `
+                    <select id="${id}" name="${field.key}"${field.numeric ? ' data-type="number"' : ''}${required}>
+                        <option value="">Select ${field.label}</option>
+                        ${this.getFieldOptions(field).map(option => `<option value="${this.escapeHtml(option)}">${this.escapeHtml(option)}</option>`).join('')}
+                    </select>`;
+                break;
+            case 'multiselect':
+                control = `
+                    <div class="checkbox-options">
+                        ${this.getFieldOptions(field).map(option => `<label><input type="checkbox" name="${field.key}" value="${this.escapeHtml(option)}"> ${this.escapeHtml(option)}</label>`).join('')}
+                    </div>`;
+                break;
+            case 'textarea':
+                control = `<textarea id="${id}" name="${field.key}"${placeholder}${required}></textarea>`;
+                break;
+            default: {
+                const min = field.min !== undefined ? ` min="${field.min}"` : '';
+                const max = field.max !== undefined ? ` max="${field.max}"` : '';
+                control = `<input type="${field.type || 'text'}" id="${id}" name="${field.key}"${min}${max}${placeholder}${required}>`;
+            }
+        }
+        return `
+            <div class="form-group">
+                <label${field.type === 'multiselect' ? '' : ` for="${id}"`}>${field.label}</label>
+                ${control}
+            </div>`;
+    }
+
+    renderReportForm() {
+        const form = document.getElementById('newReportForm');
+        if (!form) return;
+        const isWide = field => field.type === 'textarea' || field.type === 'multiselect';
+        form.innerHTML = this.schema.sections.map(section => {
+            const fields = section.fields.map(field => ({ ...field, section: section.key }));
+            const compact = fields.filter(field => !isWide(field));
+            return `
+                <fieldset class="report-section">
+                    <legend>${section.label}</legend>
+                    ${compact.length ? `<div class="form-grid">${compact.map(field => this.renderFormField(field)).join('')}</div>` : ''}
+                    ${fields.filter(isWide).map(field => this.renderFormField(field)).join('')}
+                </fieldset>`;
+        }).join('');
+    }
+
+    renderSchemaFilters() {
+        const container = document.getElementById('schemaFilters');
+        if (!container) return;
+        container.innerHTML = this.schema.filterFields().map(field => `
+            <select class="filter-select" data-field="${field.key}" title="${this.escapeHtml(field.label)}">
+                <option value="">All ${this.escapeHtml(field.label)}</option>
+                ${this.getFieldOptions(field).map(option => `<option value="${this.escapeHtml(option)}">${this.escapeHtml(option)}</option>`).join('')}
+            </select>
+        `).join('');
+        container.querySelectorAll('select').forEach(select => select.addEventListener('change', () => this.applyFilters()));
+    }
+
+    renderEditOptions() {
+        const select = document.getElementById('editReliability');
+        const field = this.schema.getField('reliability');
+        if (!select || !field) return;
+        select.innerHTML = `<option value="">Select ${field.label}</option>` +
+            this.getFieldOptions(field).map(option => `<option value="${this.escapeHtml(option)}">${this.escapeHtml(option)}</option>`).join('');
     }
 
     async loadUserInfo() {
@@ -70,13 +252,34 @@ class ScoutingManager {
         if (el) el.textContent = text;
     }
 
+    setElementHTML(id, html) {
+        const el = document.getElementById(id);
+        if (el) el.innerHTML = html;
+    }
+
     setupEventListeners() {
-        document.getElementById('teamSearch')?.addEventListener('input', () => this.debounceFilter());
-        document.getElementById('reliabilityFilter')?.addEventListener('change', () => this.applyFilters());
+        const search = document.getElementById('teamSearch');
+        search?.addEventListener('input', () => {
+            this.updateSearchSuggestions();
+            this.debounceFilter();
+        });
+        search?.addEventListener('keydown', (e) => this.handleSearchKeydown(e));
+        search?.addEventListener('blur', () => setTimeout(() => this.hideSearchSuggestions(), 150));
+        document.getElementById('searchSuggestions')?.addEventListener('mousedown', (e) => {
+            const item = e.target.closest('[data-index]');
+            if (!item) return;
+            e.preventDefault();
+            this.applySearchSuggestion(Number(item.dataset.index));
+        });
         document.getElementById('scoutFilter')?.addEventListener('change', () => this.applyFilters());
         document.getElementById('dateFilter')?.addEventListener('change', () => this.applyFilters());
         document.getElementById('teamsPerPage')?.addEventListener('change', () => this.changeTeamsPerPage());
-        document.getElementById('sortBy')?.addEventListener('change', () => this.sortTeams());
+        document.getElementById('viewLevel')?.addEventListener('change', (e) => this.changeViewLevel(e.target.value));
+        document.getElementById('displayMode')?.addEventListener('change', (e) => this.changeDisplayMode(e.target.value));
+        this.setupTableHeaderListeners();
+        document.getElementById('tableColumnsOptions')?.addEventListener('change', (e) => {
+            if (e.target.dataset.column) this.setTableColumnVisible(e.target.dataset.column, e.target.checked);
+        });
 
         const checkbox = document.getElementById('confirmBulkDelete');
         if (checkbox) {
@@ -85,14 +288,175 @@ class ScoutingManager {
                 if (btn) btn.disabled = !e.target.checked;
             });
         }
+        document.getElementById('confirmClearResults')?.addEventListener('change', (e) => {
+            const btn = document.getElementById('clearResultsBtn');
+            if (btn) btn.disabled = !e.target.checked;
+        });
 
         document.getElementById('teamsGrid')?.addEventListener('click', (e) => {
-            const card = e.target.closest('.team-card');
+            const selectToggle = e.target.closest('.select-toggle');
+            if (selectToggle) {
+                const input = selectToggle.querySelector('input');
+                if (e.target === input) this.toggleRecordSelection(input.dataset.cardId, input.checked);
+                return;
+            }
+            const toggle = e.target.closest('.compare-toggle');
+            if (toggle) {
+                const input = toggle.querySelector('input');
+                if (e.target === input) this.toggleCompare(input.dataset.teamNumber, input.checked);
+                return;
+            }
+            const cell = e.target.closest('.editable-cell');
+            if (cell) {
+                if (!cell.querySelector('.cell-editor')) this.startCellEdit(cell);
+                return;
+            }
+            const card = e.target.closest('.team-card, .team-row');
             if (card && card.dataset.teamId) {
                 this.showTeamDetails(card.dataset.teamId);
             }
         });
 
+        document.getElementById('teamDetailsContent')?.addEventListener('click', (e) => {
+            const row = e.target.closest('.profile-match-row');
+            if (row) this.showTeamDetails(row.dataset.teamId);
+            const profileLink = e.target.closest('.profile-link');
+            if (profileLink) this.showTeamProfile(profileLink.dataset.teamNumber);
+            const revert = e.target.closest('.revert-version');
+            if (revert) this.revertToVersion(revert.dataset.versionId);
+            const pitLink = e.target.closest('.pit-report-link');
+            if (pitLink) this.openPitReport(pitLink.dataset.teamNumber);
+            const photo = e.target.closest('.pit-photo');
+            if (photo) this.openPhotoViewer(photo.src);
+            const tagAction = e.target.closest('[data-tag-action]');
+            if (tagAction?.dataset.tagAction === 'add') this.addRecordTag(document.getElementById('newTag')?.value);
+            else if (tagAction?.dataset.tagAction === 'add-suggested') this.addRecordTag(tagAction.dataset.tag);
+            else if (tagAction) this.removeRecordTag(tagAction.dataset.tag);
+            const commentAction = e.target.closest('[data-comment-action]');
+            if (commentAction) this.handleCommentAction(commentAction.dataset.commentAction, commentAction.dataset.commentId);
+        });
+        document.getElementById('teamDetailsContent')?.addEventListener('keydown', (e) => {
+            if (e.target.id === 'newComment' && e.key === 'Enter' && (e.ctrlKey || e.metaKey)) this.postComment();
+            if (e.target.id === 'newTag' && e.key === 'Enter') {
+                e.preventDefault();
+                this.addRecordTag(e.target.value);
+            }
+        });
+        document.getElementById('tagFacets')?.addEventListener('click', (e) => {
+            const facet = e.target.closest('[data-tag]');
+            if (facet) this.toggleTagFilter(facet.dataset.tag);
+        });
+
+        document.getElementById('pitPhotoInput')?.addEventListener('change', (e) => {
+            this.addPitPhotos(Array.from(e.target.files || []));
+            e.target.value = '';
+        });
+        document.getElementById('pitPhotoPreview')?.addEventListener('click', (e) => {
+            const remove = e.target.closest('.remove-photo');
+            if (remove) this.removePitPhoto(Number(remove.dataset.index));
+        });
+
+        document.getElementById('importFile')?.addEventListener('change', (e) => {
+            if (e.target.files && e.target.files[0]) this.handleImportFile(e.target.files[0]);
+        });
+
+        document.getElementById('importMapping')?.addEventListener('change', (e) => {
+            const select = e.target.closest('select[data-header]');
+            if (!select || !this.importData) return;
+            this.importData.mapping[select.dataset.header] = select.value;
+            this.renderImportPreview();
+        });
+
+        document.getElementById('savedViews')?.addEventListener('change', (e) => this.selectSavedView(e.target.value));
+
+        document.getElementById('formulaSelect')?.addEventListener('change', (e) => this.selectFormula(e.target.value));
+        document.getElementById('formulaExpression')?.addEventListener('input', (e) => {
+            clearTimeout(this.formulaTimeout);
+            this.formulaTimeout = setTimeout(() => this.previewFormula(e.target.value), 300);
+        });
+        document.getElementById('formulaWeights')?.addEventListener('input', (e) => {
+            if (e.target.dataset.weightId === undefined) return;
+            this.adjustWeight(e.target.dataset.weightId, Number(e.target.value));
+        });
+
+        document.getElementById('scheduleFile')?.addEventListener('change', (e) => {
+            if (e.target.files && e.target.files[0]) this.handleScheduleFile(e.target.files[0]);
+        });
+        document.getElementById('scheduleEventKey')?.addEventListener('change', () => {
+            this.loadStoredSchedule();
+            this.renderScheduleList();
+        });
+        document.getElementById('scheduleList')?.addEventListener('click', (e) => {
+            const item = e.target.closest('.schedule-match');
+            if (item) this.showMatchPreview(Number(item.dataset.match));
+        });
+
+        document.getElementById('assignmentEventKey')?.addEventListener('change', () => this.loadAssignments());
+        document.getElementById('assignmentOpenOnly')?.addEventListener('change', () => this.renderAssignments());
+        document.getElementById('rosterName')?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.addRosterScout();
+        });
+        document.getElementById('assignmentRoster')?.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-scout]');
+            if (button) this.removeRosterScout(button.dataset.scout);
+        });
+        document.getElementById('assignmentCoverage')?.addEventListener('change', (e) => {
+            if (e.target.dataset.slot) this.setSlotAssignment(e.target.dataset.slot, e.target.value);
+        });
+        document.getElementById('myAssignments')?.addEventListener('click', (e) => {
+            const slot = e.target.closest('[data-slot]');
+            if (slot) this.startAssignedReport(slot.dataset.slot);
+        });
+
+        document.querySelectorAll('input[name="bulkDeleteScope"]').forEach(input => {
+            input.addEventListener('change', () => this.renderBulkDeletePreview());
+        });
+        document.getElementById('trashList')?.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-batch-id]');
+            if (!button) return;
+            if (button.dataset.action === 'restore') this.restoreTrashBatch(button.dataset.batchId);
+            else this.discardTrashBatch(button.dataset.batchId);
+        });
+
+        document.getElementById('officialResultsFile')?.addEventListener('change', (e) => {
+            if (e.target.files && e.target.files[0]) this.handleResultsFile(e.target.files[0]);
+            e.target.value = '';
+        });
+
+        document.getElementById('dataQualitySummary')?.addEventListener('click', (e) => {
+            const chip = e.target.closest('[data-rule]');
+            if (!chip) return;
+            this.qualityRule = this.qualityRule === chip.dataset.rule ? '' : chip.dataset.rule;
+            this.renderDataQuality();
+        });
+        document.getElementById('dataQualityList')?.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-record-id]');
+            if (!button) return;
+            if (button.dataset.action === 'fix') this.fixQualityIssue(button.dataset.recordId);
+            else if (button.dataset.action === 'merge') this.openDuplicates(button.dataset.recordId);
+            else this.showTeamDetails(button.dataset.recordId);
+        });
+
+        document.getElementById('duplicateScope')?.addEventListener('change', (e) => {
+            this.duplicatesAnyScout = e.target.value === 'any';
+            this.findDuplicates();
+        });
+        document.getElementById('duplicatesList')?.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-cluster]');
+            if (button) this.openMerge(parseInt(button.dataset.cluster, 10));
+        });
+        document.getElementById('duplicateMerge')?.addEventListener('change', (e) => {
+            const input = e.target;
+            if (input.name === 'mergeKeeper') this.setMergeKeeper(parseInt(input.value, 10));
+            else if (input.dataset.field) {
+                this.mergeChoices[input.dataset.field] = parseInt(input.value, 10);
+                this.renderMerge();
+            }
+        });
+
+        window.addEventListener('online', () => this.syncOfflineQueue());
+        window.addEventListener('offline', () => this.updatePendingBadge());
+
         this.setupNavigationHandlers();
     }
 
@@ -137,14 +501,23 @@ class ScoutingManager {
             if (response.ok) {
                 const data = await response.json();
                 this.allTeams = Array.isArray(data) ? data : [];
+                this.cacheTeams();
             } else {
                 throw new Error(`API error: ${response.status}`);
             }
         } catch (error) {
             console.error('Error loading teams:', error);
-            showNotification('Failed to load scouting data', 'error');
-            this.allTeams = [];
+            const cached = await this.loadCachedTeams();
+            if (cached) {
+                this.allTeams = cached;
+                showNotification('Offline - showing cached scouting data', 'warning');
+            } else {
+                showNotification('Failed to load scouting data', 'error');
+                this.allTeams = [];
+            }
         } finally {
+            await this.applyPendingOperations();
+            this.markTeamsChanged();
             if (showLoading) this.showLoading(false);
             this.populateScoutsFilter();
             this.applyFilters();
@@ -155,293 +528,3185 @@ class ScoutingManager {
     populateScoutsFilter() {
         const select = document.getElementById('scoutFilter');
         if (!select) return;
-        const scouts = [...new Set(this.allTeams.map(t => t.scoutName || t.scout || t.scoutedBy || t.createdBy).filter(Boolean))].sort();
-        select.innerHTML = '<option value="">All Scouts</option>' + scouts.map(s => `<option value="${s}">${s}</option>`).join('');
+        // Rostered scouts are listed even before they submit their first report
+        const scouts = [...new Set([...this.allTeams.map(t => t.scoutName || t.scout || t.scoutedBy || t.createdBy), ...this.roster].filter(Boolean))].sort();
+        const current = select.value;
+        select.innerHTML = '<option value="">All Scouts</option>' + scouts.map(s => `<option value="${this.escapeHtml(s)}">${this.escapeHtml(s)}</option>`).join('');
+        if (scouts.includes(current)) select.value = current;
     }
 
-    applyFilters() {
-        const search = document.getElementById('teamSearch')?.value.toLowerCase() || '';
-        const reliability = document.getElementById('reliabilityFilter')?.value;
-        const scout = document.getElementById('scoutFilter')?.value.toLowerCase();
-        const date = document.getElementById('dateFilter')?.value;
-
-        this.filteredTeams = this.allTeams.filter(team => {
-            const teamNumber = String(team.teamNumber || team.number || '').toLowerCase();
-            const teamName = (team.teamName || team.name || '').toLowerCase();
-            const scoutName = (team.scoutName || team.scout || team.scoutedBy || team.createdBy || '').toLowerCase();
-            const reliabilityVal = (team.reliability || '').toLowerCase();
-            const dateValRaw = team.date || team.createdAt || team.timestamp || '';
-            const dateVal = String(dateValRaw).toLowerCase();
-
-            if (search && !(teamNumber.includes(search) || teamName.includes(search) || scoutName.includes(search) || reliabilityVal.includes(search) || dateVal.includes(search))) return false;
-            if (reliability && team.reliability !== reliability) return false;
-            if (scout && scoutName !== scout) return false;
-            if (date && (!dateValRaw || !String(dateValRaw).startsWith(date))) return false;
-            return true;
+    // Filtering and sorting run in the filter worker; only the newest request's result is rendered.
+    // Pass resetPosition = false after editing a record so the list keeps its page and scroll position.
+    async applyFilters(resetPosition = true) {
+        const scoresKey = `${this.teamsVersion}|${this.activeFormula ? this.activeFormula.expression : ''}|${JSON.stringify(this.weightOverrides)}`;
+        if (scoresKey !== this.scoresKey) {
+            this.computeScores();
+            this.scoresKey = scoresKey;
+        }
+        const criteria = {
+            text: document.getElementById('teamSearch')?.value || '',
+            scout: document.getElementById('scoutFilter')?.value || '',
+            date: document.getElementById('dateFilter')?.value || '',
+            fields: {},
+            tags: [...this.tagFilters],
+            viewLevel: this.viewLevel,
+            sort: this.currentSort.map(key => ({ ...key })),
+            scores: Object.fromEntries([...this.teamScores].map(([teamNumber, entry]) => [teamNumber, entry.score]))
+        };
+        document.querySelectorAll('#schemaFilters select').forEach(select => {
+            if (select.value) criteria.fields[select.dataset.field] = select.value;
         });
 
-        this.sortTeams(this.currentSort.field, false);
-        this.currentPage = 1;
-        this.renderTeams();
+        const result = await this.runFilter(criteria);
+        if (result.id !== this.filterRequestId) return;
+        const source = this.viewLevel === 'team' ? this.getTeamProfiles() : this.allTeams;
+        this.filteredTeams = result.indexes.map(index => source[index]);
+        this.setSearchError(result.error);
+        this.renderTagFacets();
+        const totalPages = Math.max(1, Math.ceil(this.filteredTeams.length / this.getPageSize()));
+        this.currentPage = resetPosition ? 1 : Math.min(this.currentPage, totalPages);
+        this.renderTeams(resetPosition);
         this.updatePaginationInfo();
     }
 
-    getFieldValue(team, field) {
-        switch (field) {
-            case 'teamNumber':
-                return team.teamNumber || team.number || 0;
-            case 'teamName':
-                return team.teamName || team.name || '';
-            case 'scoutName':
-                return team.scoutName || team.scout || team.scoutedBy || team.createdBy || '';
-            case 'date':
-                return team.date || team.createdAt || team.timestamp || '';
-            case 'reliability':
-                return team.reliability || '';
-            default:
-                return '';
+    // Counts cover the current results, so each facet shows how many rows adding that tag would keep;
+    // selected tags stay listed even when nothing matches them. Facets group tags by their case-insensitive key
+    // and show the first spelling seen
+    renderTagFacets() {
+        const counts = new Map();
+        this.filteredTeams.forEach(item => {
+            (item.isProfile ? item.tags || [] : ScoutingData.getTags(item)).forEach(tag => {
+                const key = ScoutingData.tagKey(tag);
+                const facet = counts.get(key) || { label: tag, count: 0 };
+                facet.count++;
+                counts.set(key, facet);
+            });
+        });
+        this.tagFilters.forEach(key => { if (!counts.has(key)) counts.set(key, { label: key, count: 0 }); });
+        const facets = [...counts].sort((a, b) => b[1].count - a[1].count || a[1].label.localeCompare(b[1].label));
+        this.setElementHTML('tagFacets', facets.length ? `
+            <i class="fas fa-tags" title="Filter by tag"></i>
+            ${facets.map(([key, { label, count }]) => `
+                <button class="tag-facet${this.tagFilters.has(key) ? ' active' : ''}" data-tag="${this.escapeHtml(key)}">
+                    ${this.escapeHtml(label)} <span>${count}</span>
+                </button>
+            `).join('')}
+        ` : '');
+    }
+
+    toggleTagFilter(tag) {
+        const key = ScoutingData.tagKey(tag);
+        if (this.tagFilters.has(key)) this.tagFilters.delete(key);
+        else this.tagFilters.add(key);
+        this.applyFilters();
+    }
+
+    // Call after any change to allTeams so cached profiles, scores and the worker's copy are rebuilt
+    markTeamsChanged() {
+        this.teamsVersion++;
+    }
+
+    getTeamProfiles() {
+        if (this.profilesVersion !== this.teamsVersion) {
+            this.teamProfiles = ScoutingData.buildTeamProfiles(this.allTeams, this.schema);
+            this.profilesVersion = this.teamsVersion;
         }
+        return this.teamProfiles;
     }
 
-    sortTeams(field = document.getElementById('sortBy')?.value, updateDisplay = true) {
-        if (!field) return;
-        if (this.currentSort.field === field) {
-            this.currentSort.direction = this.currentSort.direction === 'asc' ? 'desc' : 'asc';
-        } else {
-            this.currentSort.field = field;
-            this.currentSort.direction = 'asc';
-        }
-        const dir = this.currentSort.direction === 'asc' ? 1 : -1;
-        this.filteredTeams.sort((a, b) => {
-            const va = this.getFieldValue(a, field);
-            const vb = this.getFieldValue(b, field);
-            if (va < vb) return -1 * dir;
-            if (va > vb) return 1 * dir;
-            return 0;
-        });
-        if (updateDisplay) {
-            this.currentPage = 1;
-            this.renderTeams();
-            this.updatePaginationInfo();
+    // Pages opened from file:// or browsers without workers filter on the main thread instead
+    startFilterWorker() {
+        if (typeof Worker === 'undefined') return null;
+        try {
+            const worker = new Worker('scouting-filter-worker.js');
+            worker.addEventListener('message', (e) => this.handleFilterResult(e.data));
+            worker.addEventListener('error', (e) => this.handleFilterWorkerError(e));
+            return worker;
+        } catch (error) {
+            console.error('Filter worker unavailable, filtering on the main thread:', error);
+            return null;
         }
     }
 
-    renderTeams() {
-        const grid = document.getElementById('teamsGrid');
-        if (!grid) return;
-        if (this.filteredTeams.length === 0) {
-            grid.innerHTML = '<div class="loading-container"><span>No teams found</span></div>';
-            this.setElementText('teamsCount', '0 teams');
-            return;
+    runFilter(criteria) {
+        const id = ++this.filterRequestId;
+        if (!this.filterWorker) {
+            return Promise.resolve({ id, ...ScoutingFilter.run(this.allTeams, this.getTeamProfiles(), this.schema, criteria) });
         }
-        const start = (this.currentPage - 1) * this.teamsPerPage;
-        const end = start + this.teamsPerPage;
-        const teamsToShow = this.filteredTeams.slice(start, end);
-        grid.innerHTML = teamsToShow.map(team => `
-            <div class="team-card" data-team-id="${team.id || team.teamNumber}">
-                <div class="team-card-header">
-                    <span class="team-number">${team.teamNumber || 'N/A'}</span>
-                    <h3>${team.teamName || 'Unknown Team'}</h3>
-                </div>
-                <div class="team-card-body">
-                    <p><i class="fas fa-user"></i> ${team.scoutName || team.scout || team.scoutedBy || team.createdBy || 'Unknown'}</p>
-                    <p><i class="fas fa-calendar-alt"></i> ${this.formatDate(team.date || team.createdAt || team.timestamp)}</p>
-                </div>
-            </div>
-        `).join('');
-        this.setElementText('teamsCount', `${this.filteredTeams.length} teams`);
+        // The records are copied to the worker only when they change, not on every keystroke
+        if (this.workerTeamsVersion !== this.teamsVersion) {
+            this.filterWorker.postMessage({ type: 'dataset', records: this.allTeams, schema: this.schema.toJSON() });
+            this.workerTeamsVersion = this.teamsVersion;
+        }
+        return new Promise(resolve => {
+            this.filterRequests.set(id, { criteria, resolve });
+            this.filterWorker.postMessage({ type: 'filter', id, criteria });
+        });
     }
 
-    formatDate(date) {
-        if (!date) return 'Unknown';
-        const d = new Date(date);
-        if (isNaN(d)) return date;
-        return d.toLocaleDateString();
+    handleFilterResult(result) {
+        const request = this.filterRequests.get(result.id);
+        if (!request) return;
+        this.filterRequests.delete(result.id);
+        request.resolve(result);
     }
 
-    updatePaginationInfo() {
-        const totalPages = Math.max(1, Math.ceil(this.filteredTeams.length / this.teamsPerPage));
-        const info = document.getElementById('paginationInfo');
-        if (info) info.textContent = `Page ${this.currentPage} of ${totalPages}`;
-        const prevBtn = document.getElementById('prevPage');
-        const nextBtn = document.getElementById('nextPage');
-        if (prevBtn) prevBtn.disabled = this.currentPage <= 1;
-        if (nextBtn) nextBtn.disabled = this.currentPage >= totalPages;
+    handleFilterWorkerError(event) {
+        console.error('Filter worker failed, filtering on the main thread:', event.message);
+        event.preventDefault();
+        this.filterWorker.terminate();
+        this.filterWorker = null;
+        this.filterRequests.forEach(({ criteria, resolve }, id) => {
+            resolve({ id, ...ScoutingFilter.run(this.allTeams, this.getTeamProfiles(), this.schema, criteria) });
+        });
+        this.filterRequests.clear();
     }
 
-    changeTeamsPerPage() {
-        const select = document.getElementById('teamsPerPage');
-        if (select) {
-            this.teamsPerPage = parseInt(select.value, 10);
-            this.currentPage = 1;
-            this.renderTeams();
-            this.updatePaginationInfo();
-        }
+    setSearchError(message) {
+        this.setElementText('searchError', message);
+        document.getElementById('teamSearch')?.classList.toggle('invalid', Boolean(message));
     }
 
-    nextPage() {
-        const totalPages = Math.ceil(this.filteredTeams.length / this.teamsPerPage);
-        if (this.currentPage < totalPages) {
-            this.currentPage++;
-            this.renderTeams();
-            this.updatePaginationInfo();
-        }
+    updateSearchSuggestions() {
+        const input = document.getElementById('teamSearch');
+        if (!input) return;
+        this.searchSuggestions = ScoutingQuery.suggest(input.value, input.selectionStart ?? input.value.length, this.schema);
+        this.activeSuggestion = 0;
+        this.renderSearchSuggestions();
     }
 
-    previousPage() {
-        if (this.currentPage > 1) {
-            this.currentPage--;
-            this.renderTeams();
-            this.updatePaginationInfo();
+    renderSearchSuggestions() {
+        const list = document.getElementById('searchSuggestions');
+        if (!list) return;
+        const items = this.searchSuggestions ? this.searchSuggestions.items : [];
+        list.style.display = items.length ? '' : 'none';
+        list.innerHTML = items.map((item, index) => `
+            <li class="${index === this.activeSuggestion ? 'active' : ''}" data-index="${index}">
+                <span>${this.escapeHtml(item.label)}</span>
+                <small>${this.escapeHtml(item.detail)}</small>
+            </li>
+        `).join('');
+    }
+
+    hideSearchSuggestions() {
+        this.searchSuggestions = null;
+        this.renderSearchSuggestions();
+    }
+
+    applySearchSuggestion(index) {
+        const input = document.getElementById('teamSearch');
+        const suggestion = this.searchSuggestions && this.searchSuggestions.items[index];
+        if (!input || !suggestion) return;
+        const { start, end } = this.searchSuggestions;
+        input.value = input.value.slice(0, start) + suggestion.insert + input.value.slice(end);
+        const caret = start + suggestion.insert.length;
+        input.setSelectionRange(caret, caret);
+        input.focus();
+        this.updateSearchSuggestions();
+        this.debounceFilter();
+    }
+
+    handleSearchKeydown(e) {
+        const items = this.searchSuggestions ? this.searchSuggestions.items : [];
+        if (!items.length) return;
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            this.activeSuggestion = (this.activeSuggestion + (e.key === 'ArrowDown' ? 1 : -1) + items.length) % items.length;
+            this.renderSearchSuggestions();
+        } else if (e.key === 'Tab' || e.key === 'Enter') {
+            e.preventDefault();
+            this.applySearchSuggestion(this.activeSuggestion);
+        } else if (e.key === 'Escape') {
+            this.hideSearchSuggestions();
         }
     }
 
-    resetFilters() {
-        const search = document.getElementById('teamSearch');
-        const reliability = document.getElementById('reliabilityFilter');
-        const scout = document.getElementById('scoutFilter');
-        const date = document.getElementById('dateFilter');
-        if (search) search.value = '';
-        if (reliability) reliability.value = '';
-        if (scout) scout.value = '';
-        if (date) date.value = '';
+    changeViewLevel(level) {
+        this.viewLevel = level === 'team' ? 'team' : 'match';
         this.applyFilters();
+        this.updateStats();
     }
 
-    async refreshScouting() {
-        await this.loadTeams();
-        showNotification('Scouting data refreshed', 'success');
+    // Picking the primary field again flips it. additive (Shift+click in the table) adds the field as a
+    // tie-breaker, or flips it if it is already part of the sort. The worker does the actual sorting.
+    sortTeams(field = document.getElementById('sortBy')?.value, updateDisplay = true, toggle = true, additive = false) {
+        if (!field) return;
+        const flip = direction => direction === 'asc' ? 'desc' : 'asc';
+        // Highest score first is the useful default for rankings
+        const defaultDirection = field === 'score' ? 'desc' : 'asc';
+        const existing = this.currentSort.find(key => key.field === field);
+        if (additive) {
+            if (existing) existing.direction = flip(existing.direction);
+            else this.currentSort.push({ field, direction: defaultDirection });
+        } else {
+            const primary = this.currentSort[0];
+            const direction = primary && primary.field === field
+                ? (toggle ? flip(primary.direction) : primary.direction)
+                : defaultDirection;
+            this.currentSort = [{ field, direction }];
+        }
+        const sortBy = document.getElementById('sortBy');
+        if (sortBy && sortBy.querySelector(`option[value="${this.currentSort[0].field}"]`)) sortBy.value = this.currentSort[0].field;
+        if (updateDisplay) this.applyFilters();
     }
 
-    exportScouting() {
-        const data = JSON.stringify(this.filteredTeams, null, 2);
-        const blob = new Blob([data], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = 'scouting-data.json';
-        a.click();
-        URL.revokeObjectURL(url);
+    setupTeamsList() {
+        const grid = document.getElementById('teamsGrid');
+        if (!grid || typeof VirtualList === 'undefined') return;
+        const loadingHtml = grid.innerHTML;
+        this.teamsList = new VirtualList(grid);
+        this.configureTeamsList();
+        this.teamsList.setItems([], { emptyHtml: loadingHtml });
     }
 
-    formatLabel(key) {
-        return key.replace(/([A-Z])/g, ' $1').replace(/^./, s => s.toUpperCase());
+    // Row gaps come from the stylesheet so the grid and table keep their own spacing
+    configureTeamsList() {
+        const grid = document.getElementById('teamsGrid');
+        const table = this.displayMode === 'table';
+        grid?.classList.toggle('table-mode', table);
+        const gap = grid ? parseFloat(getComputedStyle(grid).rowGap) || 0 : 0;
+        this.teamsList?.configure(table
+            ? { minColumnWidth: 0, gap, estimatedRowHeight: 44 }
+            : { minColumnWidth: 250, gap, estimatedRowHeight: 180 });
+        const header = document.getElementById('teamsTableHeader');
+        if (header) header.style.display = table ? '' : 'none';
+        const select = document.getElementById('displayMode');
+        if (select) select.value = this.displayMode;
     }
 
-    formatValue(value) {
-        if (value === null || value === undefined || value === '') return 'N/A';
-        if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) {
-            return this.formatDate(value);
-        }
-        if (typeof value === 'object') return JSON.stringify(value);
-        return value;
+    changeDisplayMode(mode) {
+        this.displayMode = mode === 'table' ? 'table' : 'grid';
+        localStorage.setItem('scoutingDisplayMode', this.displayMode);
+        this.configureTeamsList();
+        this.renderTeams(true);
     }
 
-    generateTeamDetails(team) {
-        return Object.entries(team).map(([key, value]) => `
-            <p><strong>${this.formatLabel(key)}:</strong> ${this.formatValue(value)}</p>
-        `).join('');
+    // 0 per page shows every result in one scrolling list
+    getPageSize() {
+        return this.teamsPerPage || Math.max(1, this.filteredTeams.length);
     }
 
-    showTeamDetails(id) {
-        const team = this.allTeams.find(t => String(t.id || t.teamNumber) === String(id));
-        if (!team) return;
-        const modal = document.getElementById('teamDetailsModal');
-        const content = document.getElementById('teamDetailsContent');
-        const title = document.getElementById('modalTeamTitle');
-        if (title) title.textContent = `Team ${team.teamNumber} - ${team.teamName || ''}`;
-        if (content) {
-            content.innerHTML = this.generateTeamDetails(team);
-        }
-        if (modal) modal.classList.add('show');
-        this.selectedTeam = team;
+    // Only the cards in view are in the DOM; resetScroll is for new results rather than re-renders of the same ones
+    renderTeams(resetScroll = false) {
+        if (!this.teamsList) return;
+        const unit = this.viewLevel === 'team' ? 'teams' : 'reports';
+        const pageSize = this.getPageSize();
+        const start = (this.currentPage - 1) * pageSize;
+        const pendingIds = new Set(this.pendingOperations.map(op => String(op.recordId)));
+        const table = this.displayMode === 'table';
+        this.teamsList.setItems(this.filteredTeams.slice(start, start + pageSize), {
+            renderItem: team => table ? this.renderTeamRow(team, pendingIds) : this.renderTeamCard(team, pendingIds),
+            emptyHtml: `<div class="loading-container"><span>No ${unit} found</span></div>`,
+            resetScroll
+        });
+        if (table) this.renderTableHeader();
+        this.setElementText('teamsCount', `${this.filteredTeams.length} ${unit}`);
+        this.syncViewStateToUrl();
     }
 
-    closeTeamModal() {
-        document.getElementById('teamDetailsModal')?.classList.remove('show');
-        this.selectedTeam = null;
+    renderTeamCard(team, pendingIds) {
+        const teamNumber = String(ScoutingData.getTeamNumber(team));
+        const compared = this.compareTeams.has(teamNumber);
+        const marked = this.isCardSelected(team);
+        return `
+            <div class="team-card${compared ? ' selected' : ''}${marked ? ' bulk-selected' : ''}" data-team-id="${this.escapeHtml(team.id || team.teamNumber)}">
+                <div class="team-card-header">
+                    <label class="select-toggle" title="Select for bulk actions">
+                        <input type="checkbox" data-card-id="${this.escapeHtml(this.getTeamId(team))}"${marked ? ' checked' : ''}>
+                    </label>
+                    <span class="team-number">${this.escapeHtml(team.teamNumber || 'N/A')}</span>
+                    <h3>${this.escapeHtml(team.teamName || 'Unknown Team')}</h3>
+                    ${pendingIds.has(this.getTeamId(team)) ? '<span class="pending-sync-tag" title="Waiting to sync"><i class="fas fa-cloud-arrow-up"></i></span>' : ''}
+                    <label class="compare-toggle" title="Select for comparison">
+                        <input type="checkbox" data-team-number="${this.escapeHtml(teamNumber)}"${compared ? ' checked' : ''}>
+                    </label>
+                </div>
+                <div class="team-card-body">
+                    ${team.isProfile
+                        ? `<p><i class="fas fa-list-ol"></i> ${team.matchCount} match${team.matchCount === 1 ? '' : 'es'} scouted</p>`
+                        : (ScoutingData.formatMatchLabel(team) ? `<p><i class="fas fa-flag-checkered"></i> ${this.escapeHtml(ScoutingData.formatMatchLabel(team))}</p>` : '')}
+                    <p><i class="fas fa-user"></i> ${this.escapeHtml(team.scoutName || team.scout || team.scoutedBy || team.createdBy || 'Unknown')}</p>
+                    <p><i class="fas fa-calendar-alt"></i> ${this.escapeHtml(this.formatDate(team.date || team.createdAt || team.timestamp))}</p>
+                    ${this.renderTagChips(team)}
+                    ${this.renderRankBadge(teamNumber)}
+                </div>
+            </div>
+        `;
     }
 
-    editTeam() {
-        if (!this.selectedTeam) return;
-        const modal = document.getElementById('editTeamModal');
-        if (modal) {
-            document.getElementById('editTeamName').value = this.selectedTeam.teamName || '';
-            document.getElementById('editScoutName').value = this.selectedTeam.scoutName || this.selectedTeam.scout || this.selectedTeam.scoutedBy || this.selectedTeam.createdBy || '';
-            document.getElementById('editReliability').value = this.selectedTeam.reliability || '';
-            const dateVal = this.selectedTeam.date || this.selectedTeam.createdAt || this.selectedTeam.timestamp;
-            document.getElementById('editDate').value = dateVal ? new Date(dateVal).toISOString().split('T')[0] : '';
-            document.getElementById('editNotes').value = this.selectedTeam.notes || '';
-            modal.classList.add('show');
-        }
+    renderTagChips(team) {
+        const tags = team.isProfile ? team.tags || [] : ScoutingData.getTags(team);
+        return tags.length ? `<div class="card-tags">${tags.map(tag => `<span class="record-tag">${this.escapeHtml(tag)}</span>`).join('')}</div>` : '';
     }
 
-    closeEditModal() {
-        document.getElementById('editTeamModal')?.classList.remove('show');
+    renderTeamRow(team, pendingIds) {
+        const teamNumber = String(ScoutingData.getTeamNumber(team));
+        const compared = this.compareTeams.has(teamNumber);
+        const marked = this.isCardSelected(team);
+        return `
+            <div class="team-row${compared ? ' selected' : ''}${marked ? ' bulk-selected' : ''}" data-team-id="${this.escapeHtml(team.id || team.teamNumber)}">
+                <span class="row-leading">
+                    <label class="select-toggle" title="Select for bulk actions">
+                        <input type="checkbox" data-card-id="${this.escapeHtml(this.getTeamId(team))}"${marked ? ' checked' : ''}>
+                    </label>
+                    ${pendingIds.has(this.getTeamId(team)) ? '<span class="pending-sync-tag" title="Waiting to sync"><i class="fas fa-cloud-arrow-up"></i></span>' : ''}
+                </span>
+                ${this.tableColumns.map(({ key }) => {
+                    const column = this.getTableColumn(key);
+                    const editable = column.editable && !team.isProfile;
+                    return `<span data-column="${this.escapeHtml(key)}"${editable ? ' class="editable-cell" title="Click to edit"' : ''}>${this.formatTableCell(team, column)}</span>`;
+                }).join('')}
+                <label class="compare-toggle" title="Select for comparison">
+                    <input type="checkbox" data-team-number="${this.escapeHtml(teamNumber)}"${compared ? ' checked' : ''}>
+                </label>
+            </div>
+        `;
     }
 
-    async saveTeamEdits() {
-        if (!this.selectedTeam) return;
-        const updated = {
-            teamName: document.getElementById('editTeamName').value,
-            scoutName: document.getElementById('editScoutName').value,
-            reliability: document.getElementById('editReliability').value,
-            date: document.getElementById('editDate').value,
-            notes: document.getElementById('editNotes').value
-        };
-        try {
-            const token = localStorage.getItem('authToken');
-            const response = await fetch(`${this.API_BASE}/api/teams/${this.selectedTeam.id || this.selectedTeam.teamNumber}`, {
-                method: 'PUT',
-                headers: {
-                    'Authorization': `Bearer ${token}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(updated)
-            });
-            if (response.ok) {
-                Object.assign(this.selectedTeam, updated);
-                this.applyFilters();
-                this.showTeamDetails(this.selectedTeam.id || this.selectedTeam.teamNumber);
-                showNotification('Team updated', 'success');
-                this.closeEditModal();
-            } else {
-                showNotification('Failed to update team', 'error');
+    formatTableCell(team, column) {
+        switch (column.key) {
+            case 'teamNumber':
+                return `<span class="team-number">${this.escapeHtml(team.teamNumber || 'N/A')}</span>`;
+            case 'teamName':
+                return this.escapeHtml(team.teamName || 'Unknown Team');
+            case 'match':
+                return team.isProfile ? `${team.matchCount} match${team.matchCount === 1 ? '' : 'es'}` : this.escapeHtml(ScoutingData.formatMatchLabel(team));
+            case 'scoutName':
+                return this.escapeHtml(ScoutingData.getScoutName(team) || 'Unknown');
+            case 'date':
+                return this.escapeHtml(this.formatDate(ScoutingData.getDate(team)));
+            case 'score': {
+                const entry = this.teamScores.get(String(ScoutingData.getTeamNumber(team)));
+                return entry ? `#${entry.rank} · ${entry.score.toFixed(1)}` : '';
+            }
+            case 'matchCount':
+                return String(team.matchCount || 1);
+            case 'tags':
+                return this.renderTagChips(team);
+            default: {
+                // Team profiles carry the averaged label for rating fields under the field key
+                const value = column.field && !team.isProfile ? this.schema.getValue(team, column.field) : team[column.key];
+                if (value === undefined || value === null || value === '') return '';
+                if (Array.isArray(value)) return this.escapeHtml(value.join(', '));
+                return this.escapeHtml(typeof value === 'object' ? JSON.stringify(value) : value);
             }
-        } catch (error) {
-            console.error('Edit team error:', error);
-            showNotification('Failed to update team', 'error');
         }
     }
 
-    async deleteTeam() {
-        if (!this.selectedTeam) return;
+    // Columns worked out from several fields rather than stored on the record
+    getComputedColumns() {
+        return [
+            { key: 'match', label: 'Match', sortField: 'matchNumber' },
+            { key: 'score', label: 'Formula Score', sortField: 'score' },
+            { key: 'matchCount', label: 'Matches Scouted', sortField: 'matchCount' },
+            { key: 'tags', label: 'Tags', sortField: 'tags' }
+        ];
+    }
+
+    getTableColumn(key) {
+        const computed = this.getComputedColumns().find(column => column.key === key);
+        if (computed) return { ...computed, editable: false };
+        const field = this.schema.getField(key);
+        // The team number stays read-only so clicking it always opens the report
+        if (field) return { key: field.key, label: field.label, sortField: field.key, field, editable: field.key !== 'teamNumber' };
+        return { key, label: this.formatLabel(key), sortField: key, editable: true };
+    }
+
+    // Computed columns, then the season schema, then any other plain values found on the records
+    getAvailableTableColumns() {
+        const keys = [...this.getComputedColumns().map(column => column.key), ...this.schema.fields.map(field => field.key)];
+        const hidden = new Set(['id', '_id', 'history', ...this.schema.fields.flatMap(field => field.legacyKeys || [])]);
+        const extra = new Set();
+        this.allTeams.forEach(record => Object.entries(record).forEach(([key, value]) => {
+            if (!keys.includes(key) && !hidden.has(key) && (value === null || typeof value !== 'object')) extra.add(key);
+        }));
+        return [...keys, ...[...extra].sort()].map(key => this.getTableColumn(key));
+    }
+
+    loadTableColumns() {
         try {
-            const token = localStorage.getItem('authToken');
-            const response = await fetch(`${this.API_BASE}/api/teams/${this.selectedTeam.id || this.selectedTeam.teamNumber}`, {
-                method: 'DELETE',
-                headers: {
-                    'Authorization': `Bearer ${token}`,
-                    'Content-Type': 'application/json'
-                }
-            });
-            if (response.ok) {
-                showNotification('Team deleted', 'success');
-                this.allTeams = this.allTeams.filter(t => t !== this.selectedTeam);
-                this.applyFilters();
-                this.closeTeamModal();
-            } else {
-                showNotification('Failed to delete team', 'error');
+            const saved = JSON.parse(localStorage.getItem('scoutingTableColumns') || 'null');
+            if (Array.isArray(saved) && saved.length) {
+                return saved.filter(column => column && column.key).map(column => ({
+                    key: String(column.key),
+                    width: Math.max(this.MIN_COLUMN_WIDTH, Number(column.width) || 140)
+                }));
             }
         } catch (error) {
-            console.error('Delete team error:', error);
-            showNotification('Failed to delete team', 'error');
+            console.error('Error reading saved table columns:', error);
+        }
+        return this.DEFAULT_TABLE_COLUMNS.map(column => ({ ...column }));
+    }
+
+    saveTableColumns() {
+        localStorage.setItem('scoutingTableColumns', JSON.stringify(this.tableColumns));
+    }
+
+    // The header and the rows share one grid template; the select and compare columns stay fixed
+    applyTableColumnWidths() {
+        const template = `3.5rem ${this.tableColumns.map(column => `${column.width}px`).join(' ')} 2.5rem`;
+        ['teamsTableHeader', 'teamsGrid'].forEach(id => document.getElementById(id)?.style.setProperty('--table-columns', template));
+    }
+
+    setupTableHeaderListeners() {
+        const header = document.getElementById('teamsTableHeader');
+        if (!header) return;
+        header.addEventListener('click', (e) => {
+            if (e.target.closest('.column-resizer')) return;
+            if (e.target.closest('.table-columns-btn')) {
+                this.toggleColumnMenu();
+                return;
+            }
+            const column = e.target.closest('[data-sort]');
+            if (column) this.sortTeams(column.dataset.sort, true, true, e.shiftKey);
+        });
+        header.addEventListener('pointerdown', (e) => {
+            const handle = e.target.closest('.column-resizer');
+            if (handle) this.startColumnResize(e, handle.dataset.resize);
+        });
+        header.addEventListener('dragstart', (e) => {
+            const column = e.target.closest('[data-column]');
+            if (!column || this.columnResize) {
+                e.preventDefault();
+                return;
+            }
+            this.draggedColumn = column.dataset.column;
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', column.dataset.column);
+        });
+        header.addEventListener('dragover', (e) => {
+            const column = e.target.closest('[data-column]');
+            if (!column || !this.draggedColumn) return;
+            e.preventDefault();
+            header.querySelectorAll('.drag-over').forEach(el => el !== column && el.classList.remove('drag-over'));
+            column.classList.add('drag-over');
+        });
+        header.addEventListener('drop', (e) => {
+            const column = e.target.closest('[data-column]');
+            if (!column || !this.draggedColumn) return;
+            e.preventDefault();
+            // Drop after the hovered column when the pointer is in its right half
+            const rect = column.getBoundingClientRect();
+            this.moveTableColumn(this.draggedColumn, column.dataset.column, e.clientX > rect.left + rect.width / 2);
+        });
+        header.addEventListener('dragend', () => {
+            header.querySelectorAll('.drag-over').forEach(el => el.classList.remove('drag-over'));
+            this.draggedColumn = null;
+        });
+        // Wide tables scroll sideways inside the grid, so the header follows along
+        document.getElementById('teamsGrid')?.addEventListener('scroll', (e) => {
+            header.scrollLeft = e.target.scrollLeft;
+        }, { passive: true });
+    }
+
+    startColumnResize(e, key) {
+        const column = this.tableColumns.find(c => c.key === key);
+        if (!column) return;
+        e.preventDefault();
+        this.columnResize = { startX: e.clientX, startWidth: column.width };
+        const move = (event) => {
+            column.width = Math.max(this.MIN_COLUMN_WIDTH, Math.round(this.columnResize.startWidth + event.clientX - this.columnResize.startX));
+            this.applyTableColumnWidths();
+        };
+        const stop = () => {
+            document.removeEventListener('pointermove', move);
+            document.removeEventListener('pointerup', stop);
+            this.columnResize = null;
+            this.saveTableColumns();
+        };
+        document.addEventListener('pointermove', move);
+        document.addEventListener('pointerup', stop);
+    }
+
+    moveTableColumn(key, targetKey, after) {
+        if (key === targetKey) return;
+        const moving = this.tableColumns.find(column => column.key === key);
+        if (!moving) return;
+        const rest = this.tableColumns.filter(column => column.key !== key);
+        const targetIndex = rest.findIndex(column => column.key === targetKey);
+        rest.splice(targetIndex === -1 ? rest.length : targetIndex + (after ? 1 : 0), 0, moving);
+        this.tableColumns = rest;
+        this.saveTableColumns();
+        this.renderTeams();
+    }
+
+    toggleColumnMenu(show) {
+        const menu = document.getElementById('tableColumnsMenu');
+        if (!menu) return;
+        const visible = show ?? menu.style.display === 'none';
+        menu.style.display = visible ? '' : 'none';
+        if (visible) this.renderColumnMenu();
+    }
+
+    renderColumnMenu() {
+        const shown = new Set(this.tableColumns.map(column => column.key));
+        this.setElementHTML('tableColumnsOptions', this.getAvailableTableColumns().map(column => `
+            <label><input type="checkbox" data-column="${this.escapeHtml(column.key)}"${shown.has(column.key) ? ' checked' : ''}> ${this.escapeHtml(column.label)}</label>
+        `).join(''));
+    }
+
+    setTableColumnVisible(key, visible) {
+        if (visible && !this.tableColumns.some(column => column.key === key)) {
+            this.tableColumns.push({ key, width: 140 });
+        } else if (!visible) {
+            if (this.tableColumns.length === 1) {
+                showNotification('The table needs at least one column', 'warning');
+                this.renderColumnMenu();
+                return;
+            }
+            this.tableColumns = this.tableColumns.filter(column => column.key !== key);
+        }
+        this.saveTableColumns();
+        this.renderTeams();
+    }
+
+    resetTableColumns() {
+        this.tableColumns = this.DEFAULT_TABLE_COLUMNS.map(column => ({ ...column }));
+        this.saveTableColumns();
+        this.renderColumnMenu();
+        this.renderTeams();
+    }
+
+    // Table cells edit in place and save through the same versioned PUT as the edit modal
+    startCellEdit(cell) {
+        const row = cell.closest('.team-row');
+        const record = row && this.filteredTeams.find(team => this.getTeamId(team) === row.dataset.teamId);
+        const column = this.getTableColumn(cell.dataset.column);
+        if (!record || record.isProfile || !column.editable) return;
+        const field = column.field;
+        const current = field ? this.schema.getValue(record, field) : record[column.key];
+        const type = field ? field.type : (typeof current === 'number' ? 'number' : 'text');
+        if (type === 'select' || type === 'rating') {
+            cell.innerHTML = `
+                <select class="cell-editor">
+                    <option value=""></option>
+                    ${this.getFieldOptions(field).map(option => `<option value="${this.escapeHtml(option)}"${String(current ?? '') === option ? ' selected' : ''}>${this.escapeHtml(option)}</option>`).join('')}
+                </select>`;
+        } else {
+            const value = Array.isArray(current) ? current.join(', ') : String(current ?? '');
+            const inputType = type === 'number' || type === 'date' ? type : 'text';
+            cell.innerHTML = `<input class="cell-editor" type="${inputType}" value="${this.escapeHtml(type === 'date' ? value.slice(0, 10) : value)}"${type === 'multiselect' ? ' placeholder="Comma separated"' : ''}>`;
+        }
+        const input = cell.querySelector('.cell-editor');
+        input.focus();
+        let finished = false;
+        const finish = (save) => {
+            if (finished) return;
+            finished = true;
+            if (save) this.saveCellEdit(record, column, type, input.value, current);
+            else this.renderTeams();
+        };
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') finish(true);
+            else if (e.key === 'Escape') finish(false);
+        });
+        input.addEventListener('blur', () => finish(true));
+        if (input.tagName === 'SELECT') input.addEventListener('change', () => finish(true));
+    }
+
+    async saveCellEdit(record, column, type, rawValue, current) {
+        let value = rawValue.trim();
+        if (type === 'number' || (column.field && column.field.numeric)) {
+            if (value !== '' && isNaN(Number(value))) {
+                showNotification(`${column.label} needs a number`, 'warning');
+                this.renderTeams();
+                return;
+            }
+            value = value === '' ? '' : Number(value);
+        } else if (type === 'multiselect') {
+            value = value.split(',').map(item => item.trim()).filter(Boolean);
+        }
+        if (this.isSameValue(current, value)) {
+            this.renderTeams();
+            return;
+        }
+        await this.saveRecordChanges(record, { [column.field ? column.field.key : column.key]: value });
+        this.renderTeams();
+    }
+
+    renderTableHeader() {
+        const header = document.getElementById('teamsTableHeader');
+        if (!header) return;
+        this.applyTableColumnWidths();
+        header.innerHTML = `<span></span>${this.tableColumns.map(({ key }) => {
+            const column = this.getTableColumn(key);
+            const sortIndex = this.currentSort.findIndex(sortKey => sortKey.field === column.sortField);
+            const sorted = sortIndex === -1 ? '' : ` sorted-${this.currentSort[sortIndex].direction}`;
+            return `
+                <span class="table-column${sorted}" draggable="true" data-column="${this.escapeHtml(key)}" data-sort="${this.escapeHtml(column.sortField)}"
+                      title="Click to sort, Shift+click to add to the sort, drag to reorder">
+                    ${this.escapeHtml(column.label)}${sortIndex !== -1 && this.currentSort.length > 1 ? `<sup>${sortIndex + 1}</sup>` : ''}
+                    <span class="column-resizer" data-resize="${this.escapeHtml(key)}"></span>
+                </span>`;
+        }).join('')}
+            <span><button class="table-columns-btn" title="Choose columns"><i class="fas fa-columns"></i></button></span>`;
+    }
+
+    renderRankBadge(teamNumber) {
+        const entry = this.teamScores.get(teamNumber);
+        if (!entry) return '';
+        const change = entry.rankChange
+            ? `<span class="rank-change ${entry.rankChange > 0 ? 'up' : 'down'}" title="Rank change from the saved weights">
+                   <i class="fas fa-arrow-${entry.rankChange > 0 ? 'up' : 'down'}"></i> ${Math.abs(entry.rankChange)}
+               </span>`
+            : '';
+        return `<p class="rank-score"><i class="fas fa-trophy"></i> #${entry.rank} · ${entry.score.toFixed(1)} ${change}</p>`;
+    }
+
+    // Builds the fallback formula from the weights declared in season-schema.json
+    getDefaultFormula() {
+        const terms = this.schema.fields.filter(field => field.weight).map(field => `${field.weight} * ${field.key}`);
+        return terms.length ? { name: 'Season Default', expression: terms.join(' + ') } : null;
+    }
+
+    loadFormulas() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('scoutingFormulas') || '[]');
+            this.formulas = Array.isArray(saved) ? saved : [];
+        } catch (error) {
+            this.formulas = [];
+        }
+        const fallback = this.getDefaultFormula();
+        if (!this.formulas.length && fallback) this.formulas = [fallback];
+        const activeName = localStorage.getItem('scoutingActiveFormula');
+        const active = this.formulas.find(f => f.name === activeName) || this.formulas[0];
+        this.renderFormulaOptions();
+        if (active) this.selectFormula(active.name, false);
+    }
+
+    compileFormula(expression) {
+        const ast = FormulaEngine.parse(expression);
+        FormulaEngine.fields(ast).forEach(key => {
+            const field = this.schema.getField(key);
+            if (!field || (field.type !== 'rating' && field.type !== 'number')) {
+                throw new Error(`"${key}" is not a rating or number field`);
+            }
+        });
+        return ast;
+    }
+
+    // Every field resolves to the team's average 0-100 score, so weights are comparable across scales
+    computeScores() {
+        this.teamScores = new Map();
+        if (!this.activeFormula) return;
+        const { ast } = this.activeFormula;
+        const rank = scores => {
+            const order = [...scores.entries()].sort((a, b) => b[1] - a[1]).map(([team]) => team);
+            return new Map(order.map((team, index) => [team, index + 1]));
+        };
+        const baseline = new Map();
+        const current = new Map();
+        ScoutingData.groupByTeam(this.allTeams).forEach((matches, teamNumber) => {
+            const cache = {};
+            const resolve = key => {
+                if (!(key in cache)) {
+                    const field = this.schema.getField(key);
+                    const scores = matches.map(m => this.schema.getNormalizedScore(m, field)).filter(score => score !== null);
+                    cache[key] = scores.length ? scores.reduce((a, b) => a + b, 0) / scores.length : 0;
+                }
+                return cache[key];
+            };
+            baseline.set(teamNumber, FormulaEngine.evaluate(ast, resolve));
+            current.set(teamNumber, FormulaEngine.evaluate(ast, resolve, this.weightOverrides));
+        });
+        const baselineRanks = rank(baseline);
+        const currentRanks = rank(current);
+        current.forEach((score, teamNumber) => {
+            this.teamScores.set(teamNumber, {
+                score,
+                rank: currentRanks.get(teamNumber),
+                rankChange: baselineRanks.get(teamNumber) - currentRanks.get(teamNumber)
+            });
+        });
+    }
+
+    renderFormulaOptions() {
+        const select = document.getElementById('formulaSelect');
+        if (!select) return;
+        select.innerHTML = '<option value="">No ranking formula</option>' + this.formulas.map(formula => `
+            <option value="${this.escapeHtml(formula.name)}"${this.activeFormula && this.activeFormula.name === formula.name ? ' selected' : ''}>${this.escapeHtml(formula.name)}</option>
+        `).join('');
+    }
+
+    selectFormula(name, refresh = true) {
+        const formula = this.formulas.find(f => f.name === name);
+        this.weightOverrides = {};
+        this.setElementText('formulaError', '');
+        const nameInput = document.getElementById('formulaName');
+        const expressionInput = document.getElementById('formulaExpression');
+        if (!formula) {
+            this.activeFormula = null;
+            localStorage.removeItem('scoutingActiveFormula');
+            if (nameInput) nameInput.value = '';
+            if (expressionInput) expressionInput.value = '';
+        } else {
+            if (nameInput) nameInput.value = formula.name;
+            if (expressionInput) expressionInput.value = formula.expression;
+            try {
+                this.activeFormula = { ...formula, ast: this.compileFormula(formula.expression) };
+                localStorage.setItem('scoutingActiveFormula', formula.name);
+            } catch (error) {
+                this.activeFormula = null;
+                this.setElementText('formulaError', error.message);
+            }
+        }
+        this.renderFormulaOptions();
+        this.renderWeightSliders();
+        if (refresh) this.applyFilters();
+    }
+
+    previewFormula(expression) {
+        if (!expression.trim()) {
+            this.setElementText('formulaError', '');
+            return;
+        }
+        try {
+            const ast = this.compileFormula(expression);
+            this.activeFormula = { name: document.getElementById('formulaName')?.value.trim() || '', expression, ast };
+            this.weightOverrides = {};
+            this.setElementText('formulaError', '');
+            this.renderWeightSliders();
+            this.applyFilters();
+        } catch (error) {
+            this.setElementText('formulaError', error.message);
+        }
+    }
+
+    renderWeightSliders() {
+        const weights = this.activeFormula ? FormulaEngine.weights(this.activeFormula.ast) : [];
+        this.setElementHTML('formulaWeights', weights.map(weight => {
+            const value = weight.id in this.weightOverrides ? this.weightOverrides[weight.id] : weight.value;
+            const field = weight.field ? this.schema.getField(weight.field) : null;
+            return `
+                <label class="formula-weight">
+                    <span>${this.escapeHtml(field ? field.label : 'Constant')}</span>
+                    <input type="range" min="0" max="${Math.max(1, weight.value * 2)}" step="0.05" value="${value}" data-weight-id="${weight.id}">
+                    <output>${value}</output>
+                </label>
+            `;
+        }).join(''));
+    }
+
+    adjustWeight(id, value) {
+        this.weightOverrides[id] = value;
+        const output = document.querySelector(`#formulaWeights input[data-weight-id="${id}"]`)?.nextElementSibling;
+        if (output) output.textContent = value;
+        this.applyFilters();
+    }
+
+    resetWeights() {
+        this.weightOverrides = {};
+        this.renderWeightSliders();
+        this.applyFilters();
+    }
+
+    saveFormula() {
+        const name = document.getElementById('formulaName')?.value.trim();
+        const expression = document.getElementById('formulaExpression')?.value.trim();
+        if (!name || !expression) {
+            showNotification('Give the formula a name and an expression', 'warning');
+            return;
+        }
+        let ast;
+        try {
+            ast = this.compileFormula(expression);
+        } catch (error) {
+            this.setElementText('formulaError', error.message);
+            return;
+        }
+        // Adjusted weights become part of the saved formula
+        const formula = { name, expression: FormulaEngine.stringify(ast, this.weightOverrides) };
+        const index = this.formulas.findIndex(f => f.name === name);
+        if (index >= 0) this.formulas[index] = formula;
+        else this.formulas.push(formula);
+        localStorage.setItem('scoutingFormulas', JSON.stringify(this.formulas));
+        this.selectFormula(name);
+        showNotification(`Formula "${this.escapeHtml(name)}" saved`, 'success');
+    }
+
+    deleteFormula() {
+        const name = this.activeFormula?.name;
+        if (!name || !this.formulas.some(f => f.name === name)) return;
+        this.formulas = this.formulas.filter(f => f.name !== name);
+        localStorage.setItem('scoutingFormulas', JSON.stringify(this.formulas));
+        this.selectFormula(this.formulas[0]?.name || '');
+        showNotification(`Formula "${this.escapeHtml(name)}" deleted`, 'info');
+    }
+
+    getTeamId(team) {
+        return String(team.id || team.teamNumber);
+    }
+
+    getCurrentUsername() {
+        try {
+            const userInfo = JSON.parse(localStorage.getItem('userInfo') || '{}');
+            return userInfo.username || userInfo.name || localStorage.getItem('username') || 'Unknown';
+        } catch (error) {
+            return localStorage.getItem('username') || 'Unknown';
+        }
+    }
+
+    getCardRecords(card) {
+        return card.isProfile ? card.matches : [card];
+    }
+
+    isCardSelected(card) {
+        const records = this.getCardRecords(card);
+        return records.length > 0 && records.every(record => this.selectedRecords.has(this.getTeamId(record)));
+    }
+
+    // Selecting a team card in team view selects every match report behind it
+    toggleRecordSelection(cardId, selected) {
+        const card = this.filteredTeams.find(team => this.getTeamId(team) === cardId);
+        if (!card) return;
+        this.getCardRecords(card).forEach(record => {
+            if (selected) this.selectedRecords.add(this.getTeamId(record));
+            else this.selectedRecords.delete(this.getTeamId(record));
+        });
+        document.querySelector(`#teamsGrid [data-team-id="${CSS.escape(cardId)}"]`)?.classList.toggle('bulk-selected', selected);
+    }
+
+    getSelectedRecords() {
+        return this.allTeams.filter(record => this.selectedRecords.has(this.getTeamId(record)));
+    }
+
+    escapeHtml(value) {
+        return ScoutingData.escapeHtml(value);
+    }
+
+    formatDate(date) {
+        if (!date) return 'Unknown';
+        const d = new Date(date);
+        if (isNaN(d)) return date;
+        return d.toLocaleDateString();
+    }
+
+    updatePaginationInfo() {
+        const totalPages = Math.max(1, Math.ceil(this.filteredTeams.length / this.getPageSize()));
+        const info = document.getElementById('paginationInfo');
+        if (info) info.textContent = `Page ${this.currentPage} of ${totalPages}`;
+        const prevBtn = document.getElementById('prevPage');
+        const nextBtn = document.getElementById('nextPage');
+        if (prevBtn) prevBtn.disabled = this.currentPage <= 1;
+        if (nextBtn) nextBtn.disabled = this.currentPage >= totalPages;
+    }
+
+    changeTeamsPerPage() {
+        const select = document.getElementById('teamsPerPage');
+        if (select) {
+            this.teamsPerPage = parseInt(select.value, 10);
+            this.currentPage = 1;
+            this.renderTeams(true);
+            this.updatePaginationInfo();
+        }
+    }
+
+    nextPage() {
+        const totalPages = Math.ceil(this.filteredTeams.length / this.getPageSize());
+        if (this.currentPage < totalPages) {
+            this.currentPage++;
+            this.renderTeams(true);
+            this.updatePaginationInfo();
+        }
+    }
+
+    previousPage() {
+        if (this.currentPage > 1) {
+            this.currentPage--;
+            this.renderTeams(true);
+            this.updatePaginationInfo();
+        }
+    }
+
+    resetFilters() {
+        const search = document.getElementById('teamSearch');
+        const scout = document.getElementById('scoutFilter');
+        const date = document.getElementById('dateFilter');
+        if (search) search.value = '';
+        this.hideSearchSuggestions();
+        document.querySelectorAll('#schemaFilters select').forEach(select => { select.value = ''; });
+        this.tagFilters.clear();
+        if (scout) scout.value = '';
+        if (date) date.value = '';
+        this.applyFilters();
+    }
+
+    // Only values that differ from the defaults go into the URL so shared links stay short
+    getViewState() {
+        const params = new URLSearchParams();
+        const search = document.getElementById('teamSearch')?.value.trim();
+        if (search) params.set('q', search);
+        const scout = document.getElementById('scoutFilter')?.value;
+        if (scout) params.set('scout', scout);
+        const date = document.getElementById('dateFilter')?.value;
+        if (date) params.set('date', date);
+        document.querySelectorAll('#schemaFilters select').forEach(select => {
+            if (select.value) params.set(`f_${select.dataset.field}`, select.value);
+        });
+        if (this.tagFilters.size) params.set('tags', [...this.tagFilters].join(','));
+        if (this.viewLevel !== 'match') params.set('view', this.viewLevel);
+        const sort = this.currentSort.map(key => `${key.field}:${key.direction}`).join(',');
+        if (sort !== 'teamNumber:asc') params.set('sort', sort);
+        if (this.teamsPerPage !== this.DEFAULT_TEAMS_PER_PAGE) params.set('per', this.teamsPerPage);
+        if (this.currentPage > 1) params.set('page', this.currentPage);
+        return params;
+    }
+
+    // Scout options and the page only exist once data has loaded, so finishViewStateRestore applies those
+    applyViewState(params) {
+        const setValue = (id, value) => {
+            const input = document.getElementById(id);
+            if (input) input.value = value;
+        };
+        setValue('teamSearch', params.get('q') || '');
+        setValue('dateFilter', params.get('date') || '');
+        document.querySelectorAll('#schemaFilters select').forEach(select => {
+            select.value = params.get(`f_${select.dataset.field}`) || '';
+        });
+        this.tagFilters = new Set((params.get('tags') || '').split(',').map(tag => ScoutingData.tagKey(tag)).filter(Boolean));
+        this.viewLevel = params.get('view') === 'team' ? 'team' : 'match';
+        setValue('viewLevel', this.viewLevel);
+        const sort = (params.get('sort') || '').split(',').map(part => {
+            const [field, direction] = part.split(':');
+            return { field, direction: direction === 'desc' ? 'desc' : 'asc' };
+        }).filter(key => key.field);
+        this.currentSort = sort.length ? sort : [{ field: 'teamNumber', direction: 'asc' }];
+        setValue('sortBy', this.currentSort[0].field);
+        const perPage = parseInt(params.get('per'), 10);
+        this.teamsPerPage = perPage >= 0 ? perPage : this.DEFAULT_TEAMS_PER_PAGE;
+        setValue('teamsPerPage', String(this.teamsPerPage));
+    }
+
+    async finishViewStateRestore(params) {
+        const scout = document.getElementById('scoutFilter');
+        if (scout) scout.value = params.get('scout') || '';
+        await this.applyFilters();
+        this.updateStats();
+        const totalPages = Math.max(1, Math.ceil(this.filteredTeams.length / this.getPageSize()));
+        this.currentPage = Math.min(Math.max(parseInt(params.get('page'), 10) || 1, 1), totalPages);
+        this.renderTeams();
+        this.updatePaginationInfo();
+    }
+
+    syncViewStateToUrl() {
+        if (!this.viewStateReady) return;
+        const params = this.getViewState();
+        const name = new URLSearchParams(window.location.search).get('name');
+        // The view name stays in the URL until the filters drift away from that view
+        const viewQuery = new URLSearchParams(params);
+        viewQuery.delete('page');
+        if (name && this.getActiveViewQuery() === viewQuery.toString()) params.set('name', name);
+        const query = params.toString();
+        history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}`);
+    }
+
+    getActiveViewQuery() {
+        const name = new URLSearchParams(window.location.search).get('name');
+        const view = this.savedViews.find(v => v.name === name);
+        return view ? view.query : this.sharedViewQuery;
+    }
+
+    getSavedViewsCacheKey() {
+        return `savedViews:${this.getCurrentUsername()}`;
+    }
+
+    // Views are stored per user on the server with a local copy for offline use
+    async loadSavedViews() {
+        try {
+            const token = localStorage.getItem('authToken');
+            const response = await fetch(`${this.API_BASE}/api/saved-views`, {
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    'Content-Type': 'application/json'
+                }
+            });
+            if (!response.ok) throw new Error(`API error: ${response.status}`);
+            const data = await response.json();
+            this.savedViews = Array.isArray(data) ? data.filter(view => view && view.name) : [];
+            localStorage.setItem(this.getSavedViewsCacheKey(), JSON.stringify(this.savedViews));
+        } catch (error) {
+            console.error('Error loading saved views:', error);
+            try {
+                this.savedViews = JSON.parse(localStorage.getItem(this.getSavedViewsCacheKey()) || '[]');
+            } catch (parseError) {
+                this.savedViews = [];
+            }
+        }
+        this.renderSavedViews();
+    }
+
+    async persistSavedViews() {
+        localStorage.setItem(this.getSavedViewsCacheKey(), JSON.stringify(this.savedViews));
+        try {
+            const token = localStorage.getItem('authToken');
+            const response = await fetch(`${this.API_BASE}/api/saved-views`, {
+                method: 'PUT',
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(this.savedViews)
+            });
+            if (!response.ok) throw new Error(`API error: ${response.status}`);
+        } catch (error) {
+            console.error('Error saving views:', error);
+            showNotification('Saved on this device only - views will sync next time you save online', 'warning');
+        }
+    }
+
+    renderSavedViews(selected = new URLSearchParams(window.location.search).get('name') || '') {
+        const select = document.getElementById('savedViews');
+        if (!select) return;
+        select.innerHTML = '<option value="">Saved views</option>' + this.savedViews.map(view => `
+            <option value="${this.escapeHtml(view.name)}"${view.name === selected ? ' selected' : ''}>${this.escapeHtml(view.name)}</option>
+        `).join('');
+    }
+
+    // A link with a view name the user has not saved yet came from a teammate
+    announceSharedView(params) {
+        const name = params.get('name');
+        if (!name) return;
+        const nameInput = document.getElementById('viewName');
+        if (nameInput) nameInput.value = name;
+        if (!this.savedViews.some(view => view.name === name)) {
+            const params = this.getViewState();
+            params.delete('page');
+            this.sharedViewQuery = params.toString();
+            showNotification(`Opened shared view "${this.escapeHtml(name)}" - press Save View to keep it`, 'info');
+        }
+    }
+
+    selectSavedView(name) {
+        const view = this.savedViews.find(v => v.name === name);
+        if (!view) return;
+        const params = new URLSearchParams(view.query);
+        this.applyViewState(params);
+        const nameInput = document.getElementById('viewName');
+        if (nameInput) nameInput.value = view.name;
+        params.set('name', view.name);
+        history.replaceState(null, '', `${window.location.pathname}?${params.toString()}`);
+        this.finishViewStateRestore(params);
+    }
+
+    async saveView() {
+        const name = document.getElementById('viewName')?.value.trim();
+        if (!name) {
+            showNotification('Enter a name for this view', 'warning');
+            return;
+        }
+        // The page number is left out so a saved view always opens at its first page
+        const params = this.getViewState();
+        params.delete('page');
+        const view = { name, query: params.toString(), savedAt: new Date().toISOString() };
+        const index = this.savedViews.findIndex(v => v.name === name);
+        if (index === -1) this.savedViews.push(view);
+        else this.savedViews[index] = view;
+        this.savedViews.sort((a, b) => a.name.localeCompare(b.name));
+        params.set('name', name);
+        history.replaceState(null, '', `${window.location.pathname}?${params.toString()}`);
+        this.renderSavedViews(name);
+        await this.persistSavedViews();
+        showNotification(`View "${this.escapeHtml(name)}" saved`, 'success');
+    }
+
+    async deleteView() {
+        const name = document.getElementById('savedViews')?.value || document.getElementById('viewName')?.value.trim();
+        if (!name || !this.savedViews.some(v => v.name === name)) return;
+        this.savedViews = this.savedViews.filter(v => v.name !== name);
+        this.renderSavedViews('');
+        await this.persistSavedViews();
+        showNotification(`View "${this.escapeHtml(name)}" deleted`, 'info');
+    }
+
+    async copyViewLink() {
+        const params = this.getViewState();
+        const name = document.getElementById('viewName')?.value.trim();
+        if (name) params.set('name', name);
+        const url = `${window.location.origin}${window.location.pathname}?${params.toString()}`;
+        try {
+            await navigator.clipboard.writeText(url);
+            showNotification('Link to this view copied', 'success');
+        } catch (error) {
+            console.error('Clipboard error:', error);
+            showNotification(`Copy this link: ${url}`, 'info', 10000);
+        }
+    }
+
+    async refreshScouting() {
+        await this.loadTeams();
+        await this.loadPitReports();
+        showNotification('Scouting data refreshed', 'success');
+    }
+
+    // Current filter results as match records; team view expands each profile into its matches
+    getFilteredRecords() {
+        return this.viewLevel === 'team' ? this.filteredTeams.flatMap(profile => profile.matches) : this.filteredTeams;
+    }
+
+    getExportColumns() {
+        return Array.from(document.querySelectorAll('#exportColumns input:checked'))
+            .map(input => this.schema.getField(input.value))
+            .filter(Boolean);
+    }
+
+    openExportModal() {
+        const modal = document.getElementById('exportModal');
+        if (!modal) return;
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem('scoutingExportColumns'));
+        } catch (error) {
+            saved = null;
+        }
+        const selected = new Set(Array.isArray(saved) ? saved : this.schema.fields.map(field => field.key));
+        this.setElementHTML('exportColumns', this.schema.sections.map(section => `
+            <fieldset class="report-section">
+                <legend>${section.label}</legend>
+                <div class="checkbox-options">
+                    ${section.fields.map(field => `
+                        <label><input type="checkbox" value="${field.key}"${selected.has(field.key) ? ' checked' : ''}> ${this.escapeHtml(field.label)}</label>
+                    `).join('')}
+                </div>
+            </fieldset>
+        `).join(''));
+        const records = this.getFilteredRecords();
+        const sortLabels = this.currentSort.map(key => `${this.getTableColumn(key.field).label} (${key.direction === 'asc' ? 'ascending' : 'descending'})`);
+        this.setElementText('exportScope', `${records.length} report${records.length === 1 ? '' : 's'} from the current filters` +
+            (sortLabels.length ? `, sorted by ${sortLabels.join(', then ')}` : ''));
+        modal.classList.add('show');
+    }
+
+    closeExportModal() {
+        const modal = document.getElementById('exportModal');
+        if (modal) modal.classList.remove('show');
+    }
+
+    setExportColumns(checked) {
+        document.querySelectorAll('#exportColumns input[type="checkbox"]').forEach(input => { input.checked = checked; });
+    }
+
+    exportScouting() {
+        const format = document.getElementById('exportFormat')?.value || 'json';
+        const columns = this.getExportColumns();
+        const records = this.getFilteredRecords();
+        if (!columns.length) {
+            showNotification('Choose at least one column to export', 'warning');
+            return;
+        }
+        if (!records.length) {
+            showNotification('No reports match the current filters', 'warning');
+            return;
+        }
+        localStorage.setItem('scoutingExportColumns', JSON.stringify(columns.map(field => field.key)));
+        try {
+            switch (format) {
+                case 'csv':
+                    ScoutingExport.download(ScoutingExport.toCSV(records, columns, this.schema), 'scouting-data.csv', 'text/csv;charset=utf-8');
+                    break;
+                case 'xlsx':
+                    XLSX.writeFile(ScoutingExport.toWorkbook(records, columns, this.schema), 'scouting-data.xlsx');
+                    break;
+                case 'print': {
+                    const printWindow = window.open('', '_blank');
+                    if (!printWindow) {
+                        showNotification('Allow pop-ups to print pick sheets', 'error');
+                        return;
+                    }
+                    printWindow.document.write(ScoutingExport.buildPickSheets(records, columns, this.schema, `${this.schema.name} Pick Sheets`));
+                    printWindow.document.close();
+                    printWindow.focus();
+                    printWindow.print();
+                    break;
+                }
+                default: {
+                    const data = records.map(record => {
+                        const row = {};
+                        columns.forEach(field => {
+                            const value = this.schema.getValue(record, field);
+                            if (value !== undefined) row[field.key] = value;
+                        });
+                        return row;
+                    });
+                    ScoutingExport.download(JSON.stringify(data, null, 2), 'scouting-data.json', 'application/json');
+                }
+            }
+            this.closeExportModal();
+        } catch (error) {
+            console.error('Export error:', error);
+            showNotification(`Export failed: ${error.message}`, 'error');
+        }
+    }
+
+    formatLabel(key) {
+        return key.replace(/([A-Z])/g, ' $1').replace(/^./, s => s.toUpperCase());
+    }
+
+    formatValue(value) {
+        if (value === null || value === undefined || value === '') return 'N/A';
+        if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) {
+            return this.formatDate(value);
+        }
+        if (typeof value === 'object') return JSON.stringify(value);
+        return value;
+    }
+
+    generateTeamDetails(team) {
+        const sections = this.schema.sections.map(section => {
+            const rows = section.fields
+                .map(field => [field, this.schema.getValue(team, field)])
+                .filter(([, value]) => value !== undefined && !(Array.isArray(value) && !value.length))
+                .map(([field, value]) => `
+                    <p><strong>${this.escapeHtml(field.label)}:</strong> ${this.escapeHtml(this.formatValue(Array.isArray(value) ? value.join(', ') : value))}</p>
+                `).join('');
+            return rows ? `<div class="details-section"><h3>${this.escapeHtml(section.label)}</h3>${rows}</div>` : '';
+        }).join('');
+        const schemaKeys = new Set([...this.schema.fields.flatMap(field => [field.key, ...(field.legacyKeys || [])]), 'history', 'tags']);
+        const extra = Object.entries(team).filter(([key]) => !schemaKeys.has(key)).map(([key, value]) => `
+            <p><strong>${this.escapeHtml(this.formatLabel(key))}:</strong> ${this.escapeHtml(this.formatValue(value))}</p>
+        `).join('');
+        return sections + (extra ? `<div class="details-section"><h3>Other</h3>${extra}</div>` : '');
+    }
+
+    // Suggestions are the season's predefined tags followed by every tag already in use
+    getTagSuggestions() {
+        const inUse = this.allTeams.flatMap(record => ScoutingData.getTags(record)).sort((a, b) => a.localeCompare(b));
+        return ScoutingData.getTags({ tags: [...ScoutingData.getTags({ tags: this.schema.tags }), ...inUse] });
+    }
+
+    generateTagsSection(team) {
+        const tags = ScoutingData.getTags(team);
+        const suggestions = this.getTagSuggestions().filter(tag => !ScoutingFilter.hasTags(tags, [tag]));
+        return `
+            <div class="details-section record-tags">
+                <h3>Tags</h3>
+                <div class="tag-list">
+                    ${tags.map(tag => `
+                        <span class="record-tag">
+                            ${this.escapeHtml(tag)}
+                            <button data-tag-action="remove" data-tag="${this.escapeHtml(tag)}" title="Remove tag">&times;</button>
+                        </span>
+                    `).join('') || '<span class="tag-empty">No tags yet</span>'}
+                </div>
+                <div class="tag-form">
+                    <input type="text" id="newTag" class="filter-input" list="tagSuggestions" placeholder="Add a tag, e.g. defense bot">
+                    <datalist id="tagSuggestions">
+                        ${suggestions.map(tag => `<option value="${this.escapeHtml(tag)}">`).join('')}
+                    </datalist>
+                    <button class="btn secondary" data-tag-action="add"><i class="fas fa-tag"></i> Add</button>
+                </div>
+                ${suggestions.length ? `
+                    <div class="tag-suggestions">
+                        ${suggestions.slice(0, 8).map(tag => `<button class="tag-suggestion" data-tag-action="add-suggested" data-tag="${this.escapeHtml(tag)}">+ ${this.escapeHtml(tag)}</button>`).join('')}
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    // Tag changes go through the same versioned save as any other edit
+    async addRecordTag(value) {
+        const record = this.selectedTeam;
+        const tag = ScoutingData.normalizeTag(value);
+        if (!record || !tag) return;
+        const tags = ScoutingData.getTags(record);
+        if (ScoutingFilter.hasTags(tags, [tag])) {
+            showNotification(`Already tagged "${this.escapeHtml(tag)}"`, 'info');
+            return;
+        }
+        await this.saveRecordChanges(record, { tags: [...tags, tag] });
+    }
+
+    async removeRecordTag(tag) {
+        const record = this.selectedTeam;
+        if (!record) return;
+        await this.saveRecordChanges(record, { tags: ScoutingData.getTags(record).filter(existing => ScoutingData.tagKey(existing) !== ScoutingData.tagKey(tag)) });
+    }
+
+    // Version 1 is the submitted report; every saved edit adds the next version on top
+    generateHistoryTimeline(team) {
+        const history = Array.isArray(team.history) ? team.history : [];
+        const versionNumbers = new Map(history.map((version, index) => [version.id, index + 2]));
+        versionNumbers.set('original', 1);
+        const fieldLabel = key => this.schema.getField(key)?.label || this.formatLabel(key);
+        const revertButton = (versionId, isCurrent) => isCurrent ? '<span class="history-current">Current</span>' : `
+            <button class="btn secondary revert-version" data-version-id="${this.escapeHtml(versionId)}">
+                <i class="fas fa-undo"></i> Revert to this version
+            </button>`;
+        const edits = [...history].reverse().map((version, index) => `
+            <li class="history-entry">
+                <div class="history-meta">
+                    <strong>Version ${versionNumbers.get(version.id)}</strong>
+                    <span>${this.escapeHtml(version.editedBy || 'Unknown')} · ${new Date(version.editedAt).toLocaleString()}</span>
+                    ${revertButton(version.id, index === 0)}
+                </div>
+                ${version.revertedTo ? `<p class="history-note">Reverted to version ${versionNumbers.get(version.revertedTo) || '?'}</p>` : ''}
+                <ul class="history-changes">
+                    ${Object.entries(version.changes || {}).map(([key, change]) => `
+                        <li>
+                            <strong>${this.escapeHtml(fieldLabel(key))}:</strong>
+                            <span class="history-from">${this.escapeHtml(this.formatValue(change.from))}</span>
+                            <i class="fas fa-arrow-right"></i>
+                            <span class="history-to">${this.escapeHtml(this.formatValue(change.to))}</span>
+                        </li>
+                    `).join('')}
+                </ul>
+            </li>
+        `).join('');
+        return `
+            <div class="details-section history-section">
+                <h3>History</h3>
+                <ul class="history-timeline">
+                    ${edits}
+                    <li class="history-entry">
+                        <div class="history-meta">
+                            <strong>Version 1</strong>
+                            <span>Submitted by ${this.escapeHtml(ScoutingData.getScoutName(team) || 'Unknown')} · ${this.formatDate(ScoutingData.getDate(team))}</span>
+                            ${revertButton('original', !history.length)}
+                        </div>
+                    </li>
+                </ul>
+            </div>
+        `;
+    }
+
+    formatAverage(profile, field) {
+        const score = profile.averages[field.key];
+        return score === null || score === undefined
+            ? 'N/A'
+            : `${this.schema.ratingLabel(field, score)} (${score.toFixed(2)}/${this.schema.getScaleMax(field)})`;
+    }
+
+    formatFrequency(matches, field) {
+        const counts = {};
+        matches.forEach(m => {
+            const value = this.schema.getValue(m, field);
+            (Array.isArray(value) ? value : value === undefined ? [] : [value]).forEach(v => { counts[v] = (counts[v] || 0) + 1; });
+        });
+        const entries = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+        return entries.length ? entries.map(([value, count]) => `${value} (${count})`).join(', ') : 'N/A';
+    }
+
+    generateTeamProfile(profile) {
+        const average = field => this.formatAverage(profile, field);
+        const frequency = field => this.formatFrequency(profile.matches, field);
+        return `
+            <div class="team-profile-summary">
+                <p><strong>Matches Scouted:</strong> ${profile.matchCount}</p>
+                <p><strong>Scouts:</strong> ${this.escapeHtml(profile.scoutName || 'N/A')}</p>
+                ${this.schema.ratingFields().map(field => `<p><strong>${this.escapeHtml(field.label)}:</strong> ${this.escapeHtml(average(field))}</p>`).join('')}
+                ${this.schema.multiselectFields().map(field => `<p><strong>${this.escapeHtml(field.label)}:</strong> ${this.escapeHtml(frequency(field))}</p>`).join('')}
+            </div>
+            <table class="profile-matches-table">
+                <thead>
+                    <tr><th>Match</th><th>Scout</th><th>Reliability</th><th>Date</th></tr>
+                </thead>
+                <tbody>
+                    ${profile.matches.map(match => `
+                        <tr class="profile-match-row" data-team-id="${this.escapeHtml(this.getTeamId(match))}">
+                            <td>${this.escapeHtml(ScoutingData.formatMatchLabel(match) || 'N/A')}</td>
+                            <td>${this.escapeHtml(ScoutingData.getScoutName(match) || 'Unknown')}</td>
+                            <td>${this.escapeHtml(match.reliability || 'N/A')}</td>
+                            <td>${this.escapeHtml(this.formatDate(ScoutingData.getDate(match)))}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    showTeamDetails(id) {
+        if (String(id).startsWith('team-')) {
+            this.showTeamProfile(String(id).slice('team-'.length));
+            return;
+        }
+        const team = this.allTeams.find(t => String(t.id || t.teamNumber) === String(id));
+        if (!team) return;
+        const modal = document.getElementById('teamDetailsModal');
+        const content = document.getElementById('teamDetailsContent');
+        const title = document.getElementById('modalTeamTitle');
+        const matchLabel = ScoutingData.formatMatchLabel(team);
+        if (title) title.textContent = `Team ${team.teamNumber} - ${team.teamName || ''}${matchLabel ? ` (${matchLabel})` : ''}`;
+        if (content) {
+            content.innerHTML = `
+                <div id="pinnedComments" class="pinned-comments"></div>
+                <button class="btn secondary profile-link" data-team-number="${this.escapeHtml(ScoutingData.getTeamNumber(team))}">
+                    <i class="fas fa-layer-group"></i> View all matches for team ${this.escapeHtml(ScoutingData.getTeamNumber(team))}
+                </button>
+                ${this.generateTagsSection(team)}
+                ${this.generateTeamDetails(team)}
+                ${this.generatePitSection(ScoutingData.getTeamNumber(team))}
+                ${this.generateHistoryTimeline(team)}
+                ${this.generateCommentsSection(ScoutingData.getTeamNumber(team))}
+            `;
+        }
+        this.setRecordActionsVisible(true);
+        if (modal) modal.classList.add('show');
+        this.selectedTeam = team;
+        this.openTeamComments(ScoutingData.getTeamNumber(team));
+    }
+
+    showTeamProfile(teamNumber) {
+        const matches = this.allTeams.filter(t => String(ScoutingData.getTeamNumber(t)) === String(teamNumber));
+        if (!matches.length) return;
+        const profile = ScoutingData.buildTeamProfile(teamNumber, matches, this.schema);
+        const content = document.getElementById('teamDetailsContent');
+        const title = document.getElementById('modalTeamTitle');
+        if (title) title.textContent = `Team ${profile.teamNumber} - ${profile.teamName || ''} (Profile)`;
+        if (content) {
+            content.innerHTML = '<div id="pinnedComments" class="pinned-comments"></div>' +
+                this.generateTeamProfile(profile) +
+                this.generatePitSection(profile.teamNumber) +
+                this.generateCommentsSection(profile.teamNumber);
+        }
+        // Edit and delete act on a single match record, not on the aggregated profile
+        this.setRecordActionsVisible(false);
+        document.getElementById('teamDetailsModal')?.classList.add('show');
+        this.selectedTeam = null;
+        this.openTeamComments(profile.teamNumber);
+    }
+
+    // The discussion belongs to the team number, so every match record and the profile of a team share it
+    generateCommentsSection(teamNumber) {
+        return `
+            <div class="details-section team-comments">
+                <h3>Discussion</h3>
+                <div id="teamCommentThreads" class="comment-threads"></div>
+                <div id="commentReplyTo" class="comment-reply-to" style="display: none;"></div>
+                <div class="comment-form">
+                    <textarea id="newComment" rows="2" placeholder="Comment on team ${this.escapeHtml(teamNumber)} - use @name to mention someone"></textarea>
+                    <button class="btn primary" data-comment-action="post"><i class="fas fa-paper-plane"></i> Post</button>
+                </div>
+            </div>
+        `;
+    }
+
+    getCommentsCacheKey(teamNumber) {
+        return `teamComments:${teamNumber}`;
+    }
+
+    getTeamComments(teamNumber) {
+        if (!this.teamComments.has(String(teamNumber))) {
+            try {
+                this.teamComments.set(String(teamNumber), JSON.parse(localStorage.getItem(this.getCommentsCacheKey(teamNumber)) || '[]'));
+            } catch (error) {
+                this.teamComments.set(String(teamNumber), []);
+            }
+        }
+        return this.teamComments.get(String(teamNumber));
+    }
+
+    setTeamComments(teamNumber, comments) {
+        this.teamComments.set(String(teamNumber), comments);
+        localStorage.setItem(this.getCommentsCacheKey(teamNumber), JSON.stringify(comments));
+    }
+
+    // Anyone on the roster or with a report can be mentioned
+    getMentionableUsers() {
+        return [...new Set([...this.roster, ...this.allTeams.map(record => ScoutingData.getScoutName(record)), this.getCurrentUsername()].filter(Boolean))];
+    }
+
+    openTeamComments(teamNumber) {
+        this.commentsTeam = String(teamNumber);
+        this.replyTo = null;
+        this.renderTeamComments();
+        this.loadTeamComments(teamNumber);
+    }
+
+    async loadTeamComments(teamNumber) {
+        try {
+            const token = localStorage.getItem('authToken');
+            const response = await fetch(`${this.API_BASE}/api/team-comments/${encodeURIComponent(teamNumber)}`, {
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    'Content-Type': 'application/json'
+                }
+            });
+            if (!response.ok) throw new Error(`API error: ${response.status}`);
+            const data = await response.json();
+            const comments = Array.isArray(data) ? data : (data && data.data) || [];
+            this.setTeamComments(teamNumber, Array.isArray(comments) ? comments.filter(comment => comment && comment.id && comment.body) : []);
+        } catch (error) {
+            console.error('Error loading comments:', error);
+            return;
+        }
+        this.notifyMentions(this.getTeamComments(teamNumber));
+        if (this.commentsTeam === String(teamNumber)) this.renderTeamComments();
+    }
+
+    renderComment(comment, isReply = false) {
+        const own = comment.author === this.getCurrentUsername();
+        return `
+            <div class="team-comment${comment.pinned ? ' pinned' : ''}${isReply ? ' reply' : ''}">
+                <div class="comment-meta">
+                    <strong>${this.escapeHtml(comment.author || 'Unknown')}</strong>
+                    <span>${new Date(comment.createdAt).toLocaleString()}</span>
+                    ${comment.pinned ? '<span class="comment-pin-tag"><i class="fas fa-thumbtack"></i> Pinned</span>' : ''}
+                </div>
+                <p class="comment-body">${TeamComments.formatBody(comment, value => this.escapeHtml(value))}</p>
+                <div class="comment-actions">
+                    ${isReply ? '' : `
+                        <button class="comment-action" data-comment-action="reply" data-comment-id="${this.escapeHtml(comment.id)}">Reply</button>
+                        <button class="comment-action" data-comment-action="pin" data-comment-id="${this.escapeHtml(comment.id)}">${comment.pinned ? 'Unpin' : 'Pin'}</button>
+                    `}
+                    ${own ? `<button class="comment-action danger" data-comment-action="delete" data-comment-id="${this.escapeHtml(comment.id)}">Delete</button>` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    renderTeamComments() {
+        if (this.commentsTeam === null) return;
+        const threads = TeamComments.buildThreads(this.getTeamComments(this.commentsTeam));
+        const pinned = threads.filter(thread => thread.pinned);
+        this.setElementHTML('pinnedComments', pinned.length ? `
+            <h3><i class="fas fa-thumbtack"></i> Pinned</h3>
+            ${pinned.map(comment => this.renderComment(comment)).join('')}
+        ` : '');
+        this.setElementHTML('teamCommentThreads', threads.length ? threads.map(thread => `
+            <div class="comment-thread">
+                ${this.renderComment(thread)}
+                ${thread.replies.map(reply => this.renderComment(reply, true)).join('')}
+            </div>
+        `).join('') : '<p class="comment-empty">No comments yet. Start the discussion below.</p>');
+        const replyBanner = document.getElementById('commentReplyTo');
+        const parent = this.replyTo && threads.find(thread => thread.id === this.replyTo);
+        if (replyBanner) {
+            replyBanner.innerHTML = parent ? `Replying to ${this.escapeHtml(parent.author || 'Unknown')} <button class="comment-action" data-comment-action="cancel-reply">Cancel</button>` : '';
+            replyBanner.style.display = parent ? 'flex' : 'none';
+        }
+    }
+
+    handleCommentAction(action, commentId) {
+        switch (action) {
+            case 'post':
+                this.postComment();
+                break;
+            case 'reply':
+                this.replyTo = commentId;
+                this.renderTeamComments();
+                document.getElementById('newComment')?.focus();
+                break;
+            case 'cancel-reply':
+                this.replyTo = null;
+                this.renderTeamComments();
+                break;
+            case 'pin':
+                this.toggleCommentPin(commentId);
+                break;
+            case 'delete':
+                this.deleteComment(commentId);
+                break;
+        }
+    }
+
+    async postComment() {
+        const input = document.getElementById('newComment');
+        const body = input?.value.trim();
+        const teamNumber = this.commentsTeam;
+        if (!body || teamNumber === null) return;
+        const comment = {
+            teamNumber,
+            parentId: this.replyTo || null,
+            author: this.getCurrentUsername(),
+            body,
+            mentions: TeamComments.parseMentions(body, this.getMentionableUsers()),
+            pinned: false,
+            createdAt: new Date().toISOString()
+        };
+        try {
+            const token = localStorage.getItem('authToken');
+            const response = await fetch(`${this.API_BASE}/api/team-comments/${encodeURIComponent(teamNumber)}`, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(comment)
+            });
+            if (!response.ok) throw new Error(`API error: ${response.status}`);
+            const data = await response.json().catch(() => null);
+            const created = data && typeof data === 'object' ? data.data || data : null;
+            if (input) input.value = '';
+            this.replyTo = null;
+            if (created && !Array.isArray(created) && created.id) {
+                this.setTeamComments(teamNumber, [...this.getTeamComments(teamNumber), { ...comment, ...created }]);
+                if (this.commentsTeam === teamNumber) this.renderTeamComments();
+            } else {
+                // Pin, edit and delete need the id the server gave the comment, so the thread is read back
+                await this.loadTeamComments(teamNumber);
+            }
+            if (comment.mentions.length) showNotification(`Notified ${comment.mentions.map(name => `@${name}`).join(', ')}`, 'success');
+        } catch (error) {
+            console.error('Error posting comment:', error);
+            showNotification('Failed to post comment', 'error');
+        }
+    }
+
+    async updateComment(commentId, method, changes = null) {
+        const teamNumber = this.commentsTeam;
+        const token = localStorage.getItem('authToken');
+        const response = await fetch(`${this.API_BASE}/api/team-comments/${encodeURIComponent(teamNumber)}/${encodeURIComponent(commentId)}`, {
+            method,
+            headers: {
+                'Authorization': `Bearer ${token}`,
+                'Content-Type': 'application/json'
+            },
+            ...(changes ? { body: JSON.stringify(changes) } : {})
+        });
+        if (!response.ok) throw new Error(`API error: ${response.status}`);
+        const comments = this.getTeamComments(teamNumber);
+        // Deleting a thread also drops its replies
+        this.setTeamComments(teamNumber, changes
+            ? comments.map(comment => comment.id === commentId ? { ...comment, ...changes } : comment)
+            : comments.filter(comment => comment.id !== commentId && comment.parentId !== commentId));
+        if (this.commentsTeam === teamNumber) this.renderTeamComments();
+    }
+
+    async toggleCommentPin(commentId) {
+        const comment = this.getTeamComments(this.commentsTeam).find(item => item.id === commentId);
+        if (!comment) return;
+        try {
+            await this.updateComment(commentId, 'PUT', { pinned: !comment.pinned });
+        } catch (error) {
+            console.error('Error pinning comment:', error);
+            showNotification('Failed to update comment', 'error');
+        }
+    }
+
+    async deleteComment(commentId) {
+        try {
+            await this.updateComment(commentId, 'DELETE');
+            showNotification('Comment deleted', 'success');
+        } catch (error) {
+            console.error('Error deleting comment:', error);
+            showNotification('Failed to delete comment', 'error');
+        }
+    }
+
+    // Mentions of the current user that arrived since the last visit
+    async loadMentions() {
+        const username = this.getCurrentUsername();
+        try {
+            const token = localStorage.getItem('authToken');
+            const response = await fetch(`${this.API_BASE}/api/team-comments?mention=${encodeURIComponent(username)}`, {
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    'Content-Type': 'application/json'
+                }
+            });
+            if (!response.ok) throw new Error(`API error: ${response.status}`);
+            const data = await response.json();
+            this.notifyMentions(Array.isArray(data) ? data.filter(comment => comment && comment.id && comment.body) : []);
+        } catch (error) {
+            console.error('Error loading mentions:', error);
+        }
+    }
+
+    // Each mention is announced once per device; notifications persist until dismissed
+    notifyMentions(comments) {
+        const username = this.getCurrentUsername();
+        const seenKey = `seenMentions:${username}`;
+        let seen;
+        try {
+            seen = new Set(JSON.parse(localStorage.getItem(seenKey) || '[]'));
+        } catch (error) {
+            seen = new Set();
+        }
+        const fresh = comments.filter(comment => !seen.has(comment.id) && comment.author !== username && TeamComments.mentionsUser(comment, username));
+        if (!fresh.length) return;
+        fresh.forEach(comment => {
+            const snippet = comment.body.length > 80 ? `${comment.body.slice(0, 80)}…` : comment.body;
+            const message = `${this.escapeHtml(comment.author || 'Someone')} mentioned you on team ${this.escapeHtml(comment.teamNumber)}: "${this.escapeHtml(snippet)}"`;
+            if (window.notificationManager) window.notificationManager.info(message, 0, true);
+            else showNotification(message, 'info');
+            seen.add(comment.id);
+        });
+        localStorage.setItem(seenKey, JSON.stringify([...seen]));
+    }
+
+    toggleCompare(teamNumber, selected) {
+        if (selected && !this.compareTeams.has(teamNumber) && this.compareTeams.size >= this.MAX_COMPARE) {
+            showNotification(`You can compare up to ${this.MAX_COMPARE} teams at once`, 'warning');
+        } else if (selected) {
+            this.compareTeams.add(teamNumber);
+        } else {
+            this.compareTeams.delete(teamNumber);
+        }
+        this.renderTeams();
+        this.renderCompareBar();
+    }
+
+    clearComparison() {
+        this.compareTeams.clear();
+        this.renderTeams();
+        this.renderCompareBar();
+    }
+
+    renderCompareBar() {
+        const bar = document.getElementById('compareBar');
+        if (!bar) return;
+        const count = this.compareTeams.size;
+        bar.style.display = count ? 'flex' : 'none';
+        this.setElementHTML('compareChips', [...this.compareTeams].map(teamNumber => `
+            <span class="compare-chip">${this.escapeHtml(teamNumber)}</span>
+        `).join(''));
+        this.setElementText('compareCount', `${count} of ${this.MAX_COMPARE} teams selected`);
+        const compareBtn = document.getElementById('compareBtn');
+        if (compareBtn) compareBtn.disabled = count < 2;
+    }
+
+    // Compares whole teams: every scouted match counts, not only the ones in the current filter
+    openComparison() {
+        if (this.compareTeams.size < 2) {
+            showNotification('Select at least two teams to compare', 'warning');
+            return;
+        }
+        const modal = document.getElementById('compareModal');
+        if (!modal) return;
+        const groups = ScoutingData.groupByTeam(this.allTeams);
+        const profiles = [...this.compareTeams].map(teamNumber => ScoutingData.buildTeamProfile(teamNumber, groups.get(teamNumber) || [], this.schema));
+        this.setElementHTML('compareContent', this.generateComparisonTable(profiles));
+        modal.classList.add('show');
+        this.renderComparisonChart(profiles);
+    }
+
+    generateComparisonTable(profiles) {
+        const cell = (profile, field) => {
+            switch (field.type) {
+                case 'rating':
+                    return this.escapeHtml(this.formatAverage(profile, field));
+                case 'number': {
+                    const average = this.schema.averageScore(profile.matches, field);
+                    return average === null ? 'N/A' : average.toFixed(1);
+                }
+                case 'textarea':
+                case 'text': {
+                    const entries = profile.matches
+                        .map(match => [ScoutingData.formatMatchLabel(match), this.schema.getValue(match, field)])
+                        .filter(([, value]) => value);
+                    return entries.length
+                        ? `<ul class="compare-notes">${entries.map(([label, value]) => `<li>${label ? `<strong>${this.escapeHtml(label)}:</strong> ` : ''}${this.escapeHtml(value)}</li>`).join('')}</ul>`
+                        : 'N/A';
+                }
+                default:
+                    return this.escapeHtml(this.formatFrequency(profile.matches, field));
+            }
+        };
+        // The match section only identifies a report, so it is summarised by the header rows instead
+        const sections = this.schema.sections.filter(section => section.key !== 'match').map(section => `
+            <tr class="compare-section-row"><th colspan="${profiles.length + 1}">${section.label}</th></tr>
+            ${section.fields.map(field => `
+                <tr>
+                    <th>${field.label}</th>
+                    ${profiles.map(profile => `<td>${cell(profile, field)}</td>`).join('')}
+                </tr>
+            `).join('')}
+        `).join('');
+        return `
+            <div class="compare-chart-container">
+                <canvas id="compareChart"></canvas>
+            </div>
+            <div class="compare-table-wrapper">
+                <table class="compare-table">
+                    <thead>
+                        <tr>
+                            <th></th>
+                            ${profiles.map(profile => `<th>${this.escapeHtml(profile.teamNumber)}<span>${this.escapeHtml(profile.teamName || '')}</span></th>`).join('')}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        <tr><th>Matches Scouted</th>${profiles.map(profile => `<td>${profile.matchCount}</td>`).join('')}</tr>
+                        ${sections}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    renderComparisonChart(profiles) {
+        if (this.compareChart) {
+            this.compareChart.destroy();
+            this.compareChart = null;
+        }
+        const canvas = document.getElementById('compareChart');
+        if (!canvas || typeof Chart === 'undefined') return;
+        try {
+            this.compareChart = new Chart(canvas.getContext('2d'), {
+                type: 'radar',
+                data: {
+                    labels: this.schema.chartFields().map(field => field.chartLabel),
+                    datasets: profiles.map((profile, index) => ChartHelpers.radarDataset(
+                        `${profile.teamNumber}${profile.teamName ? ` ${profile.teamName}` : ''}`,
+                        ChartHelpers.schemaRadarData(this.schema, profile.matches),
+                        ChartHelpers.COLORS[index % ChartHelpers.COLORS.length]
+                    ))
+                },
+                options: ChartHelpers.radarOptions('Team Comparison')
+            });
+        } catch (error) {
+            console.error('Error creating comparison chart:', error);
+        }
+    }
+
+    closeComparison() {
+        const modal = document.getElementById('compareModal');
+        if (modal) modal.classList.remove('show');
+        if (this.compareChart) {
+            this.compareChart.destroy();
+            this.compareChart = null;
+        }
+    }
+
+    getScheduleEventKey() {
+        return document.getElementById('scheduleEventKey')?.value.trim() || '';
+    }
+
+    getScheduleCacheKey(eventKey = this.getScheduleEventKey()) {
+        return `matchSchedule:${eventKey || 'default'}`;
+    }
+
+    openScheduleModal() {
+        const modal = document.getElementById('scheduleModal');
+        if (!modal) return;
+        const eventInput = document.getElementById('scheduleEventKey');
+        if (eventInput && !eventInput.value) eventInput.value = localStorage.getItem('scoutingEventKey') || '';
+        const providerInput = document.getElementById('scheduleProviderUrl');
+        if (providerInput && !providerInput.value) {
+            providerInput.value = localStorage.getItem('scheduleProviderUrl') || `${this.API_BASE}/api/events/{eventKey}/schedule`;
+        }
+        this.loadStoredSchedule();
+        this.renderScheduleList();
+        modal.classList.add('show');
+    }
+
+    closeScheduleModal() {
+        const modal = document.getElementById('scheduleModal');
+        if (modal) modal.classList.remove('show');
+        if (this.scheduleChart) {
+            this.scheduleChart.destroy();
+            this.scheduleChart = null;
+        }
+    }
+
+    loadStoredSchedule() {
+        try {
+            this.schedule = JSON.parse(localStorage.getItem(this.getScheduleCacheKey()) || '[]');
+        } catch (error) {
+            this.schedule = [];
+        }
+        this.setElementHTML('matchPreview', '');
+    }
+
+    storeSchedule(matches, source) {
+        this.schedule = matches;
+        localStorage.setItem(this.getScheduleCacheKey(), JSON.stringify(matches));
+        this.renderScheduleList();
+        showNotification(`Loaded ${matches.length} qualification matches from ${this.escapeHtml(source)}`, 'success');
+    }
+
+    async handleScheduleFile(file) {
+        try {
+            this.storeSchedule(MatchSchedule.parse(await file.text(), file.name), file.name);
+        } catch (error) {
+            console.error('Schedule import error:', error);
+            showNotification(`Failed to read schedule: ${this.escapeHtml(error.message)}`, 'error');
+        }
+    }
+
+    async loadScheduleFromProvider() {
+        const template = document.getElementById('scheduleProviderUrl')?.value.trim();
+        const eventKey = this.getScheduleEventKey();
+        if (!template || !eventKey) {
+            showNotification('Enter an event key and a provider URL', 'warning');
+            return;
+        }
+        localStorage.setItem('scheduleProviderUrl', template);
+        const headers = template.startsWith(this.API_BASE) ? { 'Authorization': `Bearer ${localStorage.getItem('authToken')}` } : {};
+        try {
+            this.storeSchedule(await MatchSchedule.fetchFromProvider(template, eventKey, headers), 'the schedule provider');
+        } catch (error) {
+            console.error('Schedule provider error:', error);
+            showNotification(`Failed to load schedule: ${this.escapeHtml(error.message)}`, 'error');
+        }
+    }
+
+    // The next match is the first one still in the future, or after the last match we scouted when there are no times
+    getNextScheduledMatch(schedule = this.schedule, eventKey = this.getScheduleEventKey()) {
+        const now = Date.now();
+        const timed = schedule.filter(match => match.time);
+        if (timed.length) return timed.find(match => new Date(match.time).getTime() > now)?.matchNumber ?? null;
+        const scouted = this.allTeams
+            .filter(record => !eventKey || record.eventKey === eventKey)
+            .map(record => ScoutingData.getMatchNumber(record))
+            .filter(number => number !== null);
+        const last = scouted.length ? Math.max(...scouted) : 0;
+        return schedule.find(match => match.matchNumber > last)?.matchNumber ?? null;
+    }
+
+    renderScheduleList() {
+        if (!this.schedule.length) {
+            this.setElementHTML('scheduleList', '<div class="schedule-empty">No schedule loaded for this event</div>');
+            return;
+        }
+        const next = this.getNextScheduledMatch();
+        this.setElementHTML('scheduleList', this.schedule.map(match => `
+            <button class="schedule-match${match.matchNumber === next ? ' next' : ''}${next !== null && match.matchNumber < next ? ' played' : ''}" data-match="${match.matchNumber}">
+                <strong>Q${match.matchNumber}</strong>
+                ${match.time ? `<span class="schedule-time">${new Date(match.time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</span>` : ''}
+                <span class="alliance-red">${match.red.join(' ')}</span>
+                <span class="alliance-blue">${match.blue.join(' ')}</span>
+            </button>
+        `).join(''));
+    }
+
+    averageNormalizedScore(matches, field) {
+        const scores = matches.map(m => this.schema.getNormalizedScore(m, field)).filter(score => score !== null);
+        return scores.length ? scores.reduce((a, b) => a + b, 0) / scores.length : null;
+    }
+
+    // Formula score when a ranking formula is active, otherwise the mean of the team's chart axes
+    getTeamStrength(teamNumber, matches) {
+        const formulaScore = this.teamScores.get(String(teamNumber));
+        if (formulaScore) return formulaScore.score;
+        const axes = this.schema.chartFields()
+            .map(field => this.averageNormalizedScore(matches, field))
+            .filter(score => score !== null);
+        return axes.length ? axes.reduce((a, b) => a + b, 0) / axes.length : null;
+    }
+
+    showMatchPreview(matchNumber) {
+        const match = this.schedule.find(m => m.matchNumber === matchNumber);
+        if (!match) return;
+        document.querySelectorAll('.schedule-match').forEach(item => item.classList.toggle('active', Number(item.dataset.match) === matchNumber));
+        const groups = ScoutingData.groupByTeam(this.allTeams);
+        const summarize = teamNumber => {
+            const matches = groups.get(String(teamNumber)) || [];
+            return {
+                teamNumber,
+                profile: ScoutingData.buildTeamProfile(teamNumber, matches, this.schema),
+                strength: this.getTeamStrength(teamNumber, matches),
+                standouts: this.schema.chartFields().filter(field => (this.averageNormalizedScore(matches, field) ?? 0) >= 75)
+            };
+        };
+        const alliances = { red: match.red.map(summarize), blue: match.blue.map(summarize) };
+        const total = teams => teams.reduce((sum, team) => sum + (team.strength || 0), 0);
+        const redStrength = total(alliances.red);
+        const blueStrength = total(alliances.blue);
+        const redShare = redStrength + blueStrength ? Math.round((redStrength / (redStrength + blueStrength)) * 100) : 50;
+        const threats = [...alliances.red, ...alliances.blue]
+            .filter(team => team.strength !== null)
+            .sort((a, b) => b.strength - a.strength)
+            .slice(0, 3);
+
+        const teamCard = team => `
+            <div class="preview-team">
+                <div class="preview-team-header">
+                    <span class="team-number">${this.escapeHtml(team.teamNumber)}</span>
+                    <span>${this.escapeHtml(team.profile.teamName || '')}</span>
+                    <span class="preview-strength">${team.strength === null ? 'No data' : team.strength.toFixed(1)}</span>
+                </div>
+                ${team.profile.matchCount ? `
+                    <p>${team.profile.matchCount} match${team.profile.matchCount === 1 ? '' : 'es'} scouted</p>
+                    ${this.schema.ratingFields().filter(field => team.profile.averages[field.key] !== null)
+                        .map(field => `<p><strong>${this.escapeHtml(field.label)}:</strong> ${this.escapeHtml(this.formatAverage(team.profile, field))}</p>`).join('')}
+                    ${this.schema.multiselectFields().map(field => `<p><strong>${this.escapeHtml(field.label)}:</strong> ${this.escapeHtml(this.formatFrequency(team.profile.matches, field))}</p>`).join('')}
+                ` : '<p class="preview-unscouted">Not scouted yet</p>'}
+            </div>
+        `;
+        const allianceColumn = (color, label, strength) => `
+            <div class="preview-alliance alliance-${color}">
+                <h3>${label} <span>${strength.toFixed(1)}</span></h3>
+                ${alliances[color].map(teamCard).join('')}
+                <p class="preview-coverage">${alliances[color].filter(team => team.strength !== null).length} of ${alliances[color].length} teams scouted</p>
+            </div>
+        `;
+        this.setElementHTML('matchPreview', `
+            <h3 class="preview-title">Qualification ${match.matchNumber}${match.time ? ` · ${new Date(match.time).toLocaleString()}` : ''}</h3>
+            <div class="preview-prediction">
+                <span class="alliance-red">Red ${redShare}%</span>
+                <div class="prediction-bar"><div style="width: ${redShare}%"></div></div>
+                <span class="alliance-blue">${100 - redShare}% Blue</span>
+            </div>
+            <div class="preview-threats">
+                <strong><i class="fas fa-exclamation-triangle"></i> Key threats:</strong>
+                ${threats.length ? threats.map(team => `
+                    <span class="threat ${match.red.includes(team.teamNumber) ? 'alliance-red' : 'alliance-blue'}">
+                        ${team.teamNumber}${team.standouts.length ? ` (${team.standouts.map(field => field.chartLabel).join(', ')})` : ''}
+                    </span>
+                `).join('') : '<span>No scouting data for these teams</span>'}
+            </div>
+            <div class="compare-chart-container"><canvas id="scheduleChart"></canvas></div>
+            <div class="preview-alliances">
+                ${allianceColumn('red', 'Red Alliance', redStrength)}
+                ${allianceColumn('blue', 'Blue Alliance', blueStrength)}
+            </div>
+        `);
+        this.renderMatchPreviewChart(alliances);
+    }
+
+    renderMatchPreviewChart(alliances) {
+        if (this.scheduleChart) {
+            this.scheduleChart.destroy();
+            this.scheduleChart = null;
+        }
+        const canvas = document.getElementById('scheduleChart');
+        if (!canvas || typeof Chart === 'undefined') return;
+        // Each alliance axis is the mean of its scouted teams' axes
+        const allianceData = teams => {
+            const perTeam = teams.filter(team => team.profile.matchCount)
+                .map(team => ChartHelpers.schemaRadarData(this.schema, team.profile.matches));
+            return this.schema.chartFields().map((_, index) => perTeam.length
+                ? Math.round(perTeam.reduce((sum, data) => sum + data[index], 0) / perTeam.length)
+                : 0);
+        };
+        try {
+            this.scheduleChart = new Chart(canvas.getContext('2d'), {
+                type: 'radar',
+                data: {
+                    labels: this.schema.chartFields().map(field => field.chartLabel),
+                    datasets: [
+                        ChartHelpers.radarDataset('Red Alliance', allianceData(alliances.red), '#e74c3c'),
+                        ChartHelpers.radarDataset('Blue Alliance', allianceData(alliances.blue), '#3498db')
+                    ]
+                },
+                options: ChartHelpers.radarOptions('Alliance Comparison')
+            });
+        } catch (error) {
+            console.error('Error creating match preview chart:', error);
+        }
+    }
+
+    getAssignmentEventKey() {
+        const input = document.getElementById('assignmentEventKey');
+        return (input && input.value.trim()) || localStorage.getItem('scoutingEventKey') || '';
+    }
+
+    getAssignmentsCacheKey(eventKey = this.getAssignmentEventKey()) {
+        return `scoutAssignments:${eventKey || 'default'}`;
+    }
+
+    // The roster and slot assignments are shared per event on the server, with a local copy for offline use.
+    // A local copy saved while offline is pushed first so the server copy does not overwrite it.
+    async loadAssignments() {
+        const eventKey = this.getAssignmentEventKey();
+        try {
+            this.assignmentSchedule = JSON.parse(localStorage.getItem(this.getScheduleCacheKey(eventKey)) || '[]');
+        } catch (error) {
+            this.assignmentSchedule = [];
+        }
+        let cached = null;
+        try {
+            cached = JSON.parse(localStorage.getItem(this.getAssignmentsCacheKey(eventKey)) || 'null');
+        } catch (parseError) {
+            cached = null;
+        }
+        let data = null;
+        try {
+            if (cached && cached.unsynced) {
+                await this.putAssignments(eventKey, { roster: cached.roster, assignments: cached.assignments });
+                showNotification('Assignments saved on this device have been synced', 'success');
+            }
+            const token = localStorage.getItem('authToken');
+            const response = await fetch(`${this.API_BASE}/api/events/${encodeURIComponent(eventKey || 'default')}/assignments`, {
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    'Content-Type': 'application/json'
+                }
+            });
+            if (!response.ok) throw new Error(`API error: ${response.status}`);
+            data = await response.json();
+            localStorage.setItem(this.getAssignmentsCacheKey(eventKey), JSON.stringify(data));
+        } catch (error) {
+            console.error('Error loading scout assignments:', error);
+            data = cached;
+        }
+        this.roster = data && Array.isArray(data.roster) ? data.roster.filter(name => typeof name === 'string' && name) : [];
+        this.assignments = data && data.assignments && typeof data.assignments === 'object' ? data.assignments : {};
+        this.populateScoutsFilter();
+        this.refreshCoverage();
+    }
+
+    // The local copy is flagged unsynced until the server has it, so the next load pushes it instead of replacing it
+    async persistAssignments() {
+        const eventKey = this.getAssignmentEventKey();
+        const data = { roster: this.roster, assignments: this.assignments };
+        localStorage.setItem(this.getAssignmentsCacheKey(eventKey), JSON.stringify({ ...data, unsynced: true }));
+        try {
+            await this.putAssignments(eventKey, data);
+            localStorage.setItem(this.getAssignmentsCacheKey(eventKey), JSON.stringify(data));
+        } catch (error) {
+            console.error('Error saving scout assignments:', error);
+            showNotification('Assignments saved on this device only - they will sync the next time assignments load online', 'warning');
+        }
+    }
+
+    async putAssignments(eventKey, data) {
+        const token = localStorage.getItem('authToken');
+        const response = await fetch(`${this.API_BASE}/api/events/${encodeURIComponent(eventKey || 'default')}/assignments`, {
+            method: 'PUT',
+            headers: {
+                'Authorization': `Bearer ${token}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(data)
+        });
+        if (!response.ok) throw new Error(`API error: ${response.status}`);
+    }
+
+    getCoverage() {
+        const eventKey = this.getAssignmentEventKey();
+        return ScoutAssignments.coverage(this.assignmentSchedule, this.assignments, this.allTeams, {
+            eventKey,
+            nextMatch: this.getNextScheduledMatch(this.assignmentSchedule, eventKey)
+        });
+    }
+
+    // Called whenever records change so coverage and the badge follow new reports as they arrive
+    refreshCoverage() {
+        const mine = ScoutAssignments.forScout(this.getCoverage(), this.getCurrentUsername()).filter(slot => slot.status === 'open');
+        const badge = document.getElementById('myAssignmentsCount');
+        if (badge) {
+            badge.textContent = mine.length;
+            badge.style.display = mine.length ? 'flex' : 'none';
+        }
+        if (document.getElementById('assignmentsModal')?.classList.contains('show')) this.renderAssignments();
+    }
+
+    async openAssignments() {
+        const modal = document.getElementById('assignmentsModal');
+        if (!modal) return;
+        const eventInput = document.getElementById('assignmentEventKey');
+        if (eventInput && !eventInput.value) eventInput.value = localStorage.getItem('scoutingEventKey') || '';
+        modal.classList.add('show');
+        await this.loadAssignments();
+        // Timed schedules move on by themselves, so re-check which matches are upcoming while the planner is open
+        clearInterval(this.assignmentTimer);
+        this.assignmentTimer = setInterval(() => this.refreshCoverage(), 60000);
+    }
+
+    closeAssignments() {
+        document.getElementById('assignmentsModal')?.classList.remove('show');
+        clearInterval(this.assignmentTimer);
+        this.assignmentTimer = null;
+    }
+
+    renderAssignments() {
+        const coverage = this.getCoverage();
+        const summary = ScoutAssignments.summarize(coverage);
+        const username = this.getCurrentUsername();
+
+        this.setElementHTML('assignmentRoster', this.roster.length ? this.roster.map(name => `
+            <span class="roster-chip">
+                ${this.escapeHtml(name)}
+                <button class="roster-remove" data-scout="${this.escapeHtml(name)}" title="Remove ${this.escapeHtml(name)}">&times;</button>
+            </span>
+        `).join('') : '<span class="assignment-empty">No scouts on the roster yet</span>');
+
+        const mine = ScoutAssignments.forScout(coverage, username).filter(slot => slot.status === 'open');
+        this.setElementHTML('myAssignments', mine.length ? mine.map(slot => `
+            <button class="assignment-slot mine ${slot.alliance.toLowerCase()}" data-slot="${this.escapeHtml(slot.key)}" title="Start the report for this slot">
+                <strong>Q${slot.matchNumber}</strong>
+                <span>${slot.alliance} ${slot.station} · Team ${this.escapeHtml(slot.teamNumber)}</span>
+                ${slot.time ? `<span class="schedule-time">${new Date(slot.time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</span>` : ''}
+            </button>
+        `).join('') : `<span class="assignment-empty">No upcoming assignments for ${this.escapeHtml(username)}</span>`);
+
+        if (!this.assignmentSchedule.length) {
+            this.setElementHTML('assignmentSummary', '');
+            this.setElementHTML('assignmentCoverage', '<div class="schedule-empty">Load the match schedule for this event to plan assignments</div>');
+            return;
+        }
+        this.setElementHTML('assignmentSummary', `
+            <span class="coverage-stat reported">${summary.reported} reported</span>
+            <span class="coverage-stat open">${summary.open} upcoming without a report</span>
+            <span class="coverage-stat missed">${summary.missed} missed</span>
+            <span class="coverage-stat unassigned">${summary.unassigned} upcoming unassigned</span>
+        `);
+
+        const onlyOpen = document.getElementById('assignmentOpenOnly')?.checked;
+        const byMatch = new Map();
+        coverage.forEach(slot => {
+            if (onlyOpen && slot.status !== 'open') return;
+            if (!byMatch.has(slot.matchNumber)) byMatch.set(slot.matchNumber, []);
+            byMatch.get(slot.matchNumber).push(slot);
+        });
+        const options = ['', ...this.roster];
+        this.setElementHTML('assignmentCoverage', byMatch.size ? [...byMatch.entries()].map(([matchNumber, slots]) => `
+            <div class="coverage-match">
+                <strong>Q${matchNumber}</strong>
+                ${slots.map(slot => `
+                    <label class="coverage-slot ${slot.alliance.toLowerCase()} ${slot.status}" title="${slot.status === 'reported' ? `Reported by ${this.escapeHtml(slot.reports.map(r => ScoutingData.getScoutName(r) || 'unknown').join(', '))}` : slot.status === 'open' ? 'No report yet' : 'No report was submitted'}">
+                        <span>${this.escapeHtml(slot.teamNumber)}</span>
+                        <select data-slot="${this.escapeHtml(slot.key)}">
+                            ${[...new Set([...options, slot.scout])].map(name => `<option value="${this.escapeHtml(name)}"${name === slot.scout ? ' selected' : ''}>${name ? this.escapeHtml(name) : 'Unassigned'}</option>`).join('')}
+                        </select>
+                    </label>
+                `).join('')}
+            </div>
+        `).join('') : '<div class="schedule-empty">Every upcoming slot has a report</div>');
+    }
+
+    addRosterScout() {
+        const input = document.getElementById('rosterName');
+        const name = input?.value.trim();
+        if (!name) return;
+        if (this.roster.some(scout => scout.toLowerCase() === name.toLowerCase())) {
+            showNotification(`${this.escapeHtml(name)} is already on the roster`, 'warning');
+            return;
+        }
+        this.roster.push(name);
+        input.value = '';
+        this.persistAssignments();
+        this.populateScoutsFilter();
+        this.refreshCoverage();
+    }
+
+    // Existing assignments are kept so the slot still shows who was meant to cover it
+    removeRosterScout(name) {
+        this.roster = this.roster.filter(scout => scout !== name);
+        this.persistAssignments();
+        this.populateScoutsFilter();
+        this.refreshCoverage();
+    }
+
+    addScoutsFromReports() {
+        const known = new Set(this.roster.map(scout => scout.toLowerCase()));
+        const added = [...new Set(this.allTeams.map(record => ScoutingData.getScoutName(record)).filter(Boolean))]
+            .filter(name => !known.has(name.toLowerCase()))
+            .sort();
+        if (!added.length) {
+            showNotification('Every scout with reports is already on the roster', 'info');
+            return;
+        }
+        this.roster.push(...added);
+        this.persistAssignments();
+        this.refreshCoverage();
+        showNotification(`Added ${added.length} scout${added.length === 1 ? '' : 's'} to the roster`, 'success');
+    }
+
+    autoAssignScouts() {
+        if (!this.assignmentSchedule.length || !this.roster.length) {
+            showNotification('Load a match schedule and add scouts to the roster first', 'warning');
+            return;
+        }
+        const shiftLength = parseInt(document.getElementById('assignmentShiftLength')?.value, 10) || 6;
+        const nextMatch = this.getNextScheduledMatch(this.assignmentSchedule, this.getAssignmentEventKey());
+        // Once the event is over there is nothing left to plan
+        if (nextMatch === null) {
+            showNotification('There are no upcoming matches to assign', 'warning');
+            return;
+        }
+        this.assignments = ScoutAssignments.autoAssign(this.assignmentSchedule, this.roster, {
+            fromMatch: nextMatch,
+            shiftLength,
+            existing: this.assignments
+        });
+        this.persistAssignments();
+        this.refreshCoverage();
+        showNotification(`Assigned ${this.roster.length} scouts from Q${nextMatch} in shifts of ${shiftLength} matches`, 'success');
+    }
+
+    setSlotAssignment(slotKey, scout) {
+        if (scout) this.assignments[slotKey] = scout;
+        else delete this.assignments[slotKey];
+        this.persistAssignments();
+        this.refreshCoverage();
+    }
+
+    startAssignedReport(slotKey) {
+        const slot = this.getCoverage().find(item => item.key === slotKey);
+        if (!slot) return;
+        this.closeAssignments();
+        this.openNewReport({
+            eventKey: this.getAssignmentEventKey(),
+            matchNumber: slot.matchNumber,
+            alliance: slot.alliance,
+            driverStation: slot.station,
+            teamNumber: slot.teamNumber,
+            scoutName: slot.scout
+        });
+    }
+
+    setRecordActionsVisible(visible) {
+        ['editTeamBtn', 'shareQrBtn', 'deleteTeamBtn'].forEach(id => {
+            const btn = document.getElementById(id);
+            if (btn) btn.style.display = visible ? '' : 'none';
+        });
+    }
+
+    closeTeamModal() {
+        document.getElementById('teamDetailsModal')?.classList.remove('show');
+        this.selectedTeam = null;
+        this.commentsTeam = null;
+    }
+
+    // prefill maps report field keys to values, e.g. the team and station of a scout assignment
+    openNewReport(prefill = {}) {
+        const modal = document.getElementById('newReportModal');
+        const form = document.getElementById('newReportForm');
+        if (!modal || !form) return;
+        form.reset();
+        const scoutInput = document.getElementById('report-scoutName');
+        if (scoutInput) scoutInput.value = document.getElementById('sidebarUserName')?.textContent || '';
+        const dateInput = document.getElementById('report-date');
+        if (dateInput) dateInput.value = new Date().toISOString().split('T')[0];
+        const eventInput = document.getElementById('report-eventKey');
+        if (eventInput) eventInput.value = localStorage.getItem('scoutingEventKey') || '';
+        Object.entries(prefill).forEach(([key, value]) => {
+            const input = document.getElementById(`report-${key}`);
+            if (input && value !== undefined && value !== null) input.value = value;
+        });
+        modal.classList.add('show');
+        document.getElementById('report-matchNumber')?.focus();
+    }
+
+    closeNewReportModal() {
+        document.getElementById('newReportModal')?.classList.remove('show');
+    }
+
+    collectReportForm(form) {
+        const report = {};
+        Array.from(form.elements).forEach(el => {
+            if (!el.name) return;
+            if (el.type === 'checkbox') {
+                if (!Array.isArray(report[el.name])) report[el.name] = [];
+                if (el.checked) report[el.name].push(el.value);
+            } else if (el.type === 'number' || el.dataset.type === 'number') {
+                report[el.name] = el.value === '' ? null : Number(el.value);
+            } else {
+                report[el.name] = el.value.trim();
+            }
+        });
+        return report;
+    }
+
+    validateReport(report, fields = this.schema.fields) {
+        const errors = [];
+        fields.forEach(field => {
+            const value = report[field.key];
+            if (value === undefined || value === null || value === '' || (Array.isArray(value) && !value.length)) {
+                if (field.required) errors.push(`${field.label} is required`);
+                return;
+            }
+            const options = this.getFieldOptions(field);
+            if (field.type === 'number') {
+                const number = Number(value);
+                if (isNaN(number) || (field.integer && !Number.isInteger(number))) {
+                    errors.push(`${field.label} must be a ${field.integer ? 'whole ' : ''}number`);
+                } else if ((field.min !== undefined && number < field.min) || (field.max !== undefined && number > field.max)) {
+                    errors.push(`${field.label} must be between ${field.min ?? '-∞'} and ${field.max ?? '∞'}`);
+                }
+            } else if (field.type === 'date' && isNaN(new Date(value))) {
+                errors.push(`${field.label} is not a valid date`);
+            } else if ((field.type === 'select' || field.type === 'rating') && !options.includes(String(value))) {
+                errors.push(`${field.label} must be one of: ${options.join(', ')}`);
+            } else if (field.type === 'multiselect' && (!Array.isArray(value) || value.some(v => !options.includes(String(v))))) {
+                errors.push(`${field.label} must only contain: ${options.join(', ')}`);
+            }
+        });
+        return errors;
+    }
+
+    async submitNewReport() {
+        const form = document.getElementById('newReportForm');
+        if (!form) return;
+        const report = this.collectReportForm(form);
+        const errors = this.validateReport(report);
+        if (errors.length) {
+            showNotification(errors.join('<br>'), 'error');
+            return;
+        }
+        const duplicate = this.allTeams.find(t => ScoutingData.getMatchKey(t) === ScoutingData.getMatchKey(report));
+        if (duplicate && ScoutingData.getScoutName(duplicate) === report.scoutName) {
+            showNotification(`You already submitted a report for team ${report.teamNumber} in ${ScoutingData.formatMatchLabel(report)}`, 'warning');
+            return;
+        }
+        if (report.eventKey) localStorage.setItem('scoutingEventKey', report.eventKey);
+        const submitBtn = document.getElementById('submitReportBtn');
+        if (submitBtn) submitBtn.disabled = true;
+        try {
+            const token = localStorage.getItem('authToken');
+            const response = await fetch(`${this.API_BASE}/api/teams`, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(report)
+            });
+            if (response.ok) {
+                const created = await response.json().catch(() => null);
+                this.addReport(created && typeof created === 'object' ? { ...report, ...created } : report);
+                showNotification(`Report for team ${report.teamNumber} submitted`, 'success');
+            } else {
+                showNotification('Failed to submit report', 'error');
+            }
+        } catch (error) {
+            console.error('Submit report error:', error);
+            const recordId = `${this.LOCAL_ID_PREFIX}${Date.now()}`;
+            if (this.isNetworkError(error) && await this.queueOperation({ type: 'create', recordId, payload: report })) {
+                this.addReport({ ...report, id: recordId });
+                showNotification(`Offline - report for team ${report.teamNumber} saved locally and will sync when back online`, 'warning');
+            } else {
+                showNotification('Failed to submit report', 'error');
+            }
+        } finally {
+            if (submitBtn) submitBtn.disabled = false;
+        }
+    }
+
+    renderPitForm() {
+        const form = document.getElementById('pitReportForm');
+        if (!form) return;
+        const isWide = field => field.type === 'textarea' || field.type === 'multiselect';
+        form.innerHTML = this.schema.pitSections.map(section => {
+            const compact = section.fields.filter(field => !isWide(field));
+            return `
+                <fieldset class="report-section">
+                    <legend>${section.label}</legend>
+                    ${compact.length ? `<div class="form-grid">${compact.map(field => this.renderFormField(field, 'pit')).join('')}</div>` : ''}
+                    ${section.fields.filter(isWide).map(field => this.renderFormField(field, 'pit')).join('')}
+                </fieldset>`;
+        }).join('');
+    }
+
+    async loadPitReports() {
+        try {
+            const token = localStorage.getItem('authToken');
+            const response = await fetch(`${this.API_BASE}/api/pit-reports`, {
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    'Content-Type': 'application/json'
+                }
+            });
+            if (!response.ok) throw new Error(`API error: ${response.status}`);
+            const data = await response.json();
+            this.pitReports = new Map((Array.isArray(data) ? data : []).map(report => [String(report.teamNumber), report]));
+            if (this.offlineQueue) await this.offlineQueue.saveCache('pitReports', [...this.pitReports.values()]).catch(() => {});
+        } catch (error) {
+            console.error('Error loading pit reports:', error);
+            const cached = this.offlineQueue ? await this.offlineQueue.loadCache('pitReports').catch(() => null) : null;
+            this.pitReports = new Map((Array.isArray(cached) ? cached : []).map(report => [String(report.teamNumber), report]));
+        }
+        // Pit reports saved offline win over the server copy until they sync
+        this.pendingOperations.filter(op => op.type === 'pit').forEach(op => this.pitReports.set(String(op.payload.teamNumber), op.payload));
+    }
+
+    openPitReport(teamNumber = '') {
+        const modal = document.getElementById('pitReportModal');
+        const form = document.getElementById('pitReportForm');
+        if (!modal || !form) return;
+        form.reset();
+        const existing = this.pitReports.get(String(teamNumber));
+        this.schema.pitFields.forEach(field => {
+            const value = existing ? existing[field.key] : undefined;
+            if (field.type === 'multiselect') {
+                form.querySelectorAll(`input[name="${field.key}"]`).forEach(input => { input.checked = Array.isArray(value) && value.includes(input.value); });
+            } else {
+                const input = document.getElementById(`pit-${field.key}`);
+                if (input && value !== undefined && value !== null) input.value = value;
+            }
+        });
+        const teamInput = document.getElementById('pit-teamNumber');
+        if (teamInput && teamNumber) teamInput.value = teamNumber;
+        const scoutInput = document.getElementById('pit-scoutName');
+        if (scoutInput && !scoutInput.value) scoutInput.value = document.getElementById('sidebarUserName')?.textContent || '';
+        const eventInput = document.getElementById('pit-eventKey');
+        if (eventInput && !eventInput.value) eventInput.value = localStorage.getItem('scoutingEventKey') || '';
+        this.pitPhotos = existing && Array.isArray(existing.photos) ? existing.photos.filter(photo => ImageCompression.isImageDataUrl(photo)) : [];
+        this.renderPitPhotos();
+        modal.classList.add('show');
+    }
+
+    closePitReportModal() {
+        document.getElementById('pitReportModal')?.classList.remove('show');
+        this.pitPhotos = [];
+    }
+
+    async addPitPhotos(files) {
+        const room = this.MAX_PIT_PHOTOS - this.pitPhotos.length;
+        if (files.length > room) showNotification(`Only ${this.MAX_PIT_PHOTOS} photos can be attached to a pit report`, 'warning');
+        for (const file of files.slice(0, Math.max(room, 0))) {
+            try {
+                this.pitPhotos.push(await ImageCompression.compress(file));
+            } catch (error) {
+                console.error('Photo compression error:', error);
+                showNotification(this.escapeHtml(error.message), 'error');
+            }
+        }
+        this.renderPitPhotos();
+    }
+
+    removePitPhoto(index) {
+        this.pitPhotos.splice(index, 1);
+        this.renderPitPhotos();
+    }
+
+    renderPitPhotos() {
+        const totalKb = Math.round(this.pitPhotos.reduce((sum, photo) => sum + ImageCompression.estimateBytes(photo), 0) / 1024);
+        this.setElementHTML('pitPhotoPreview', this.pitPhotos.map((photo, index) => `
+            <div class="pit-photo-thumb">
+                <img src="${this.escapeHtml(photo)}" alt="Robot photo ${index + 1}">
+                <button type="button" class="remove-photo" data-index="${index}" title="Remove photo">&times;</button>
+            </div>
+        `).join('') + (this.pitPhotos.length ? `<span class="pit-photo-size">${this.pitPhotos.length} photo${this.pitPhotos.length === 1 ? '' : 's'} · ${totalKb} KB</span>` : ''));
+    }
+
+    async submitPitReport() {
+        const form = document.getElementById('pitReportForm');
+        if (!form) return;
+        const report = this.collectReportForm(form);
+        const errors = this.validateReport(report, this.schema.pitFields);
+        if (errors.length) {
+            showNotification(errors.join('<br>'), 'error');
+            return;
+        }
+        const payload = {
+            ...report,
+            photos: this.pitPhotos,
+            updatedAt: new Date().toISOString(),
+            updatedBy: this.getCurrentUsername()
+        };
+        const submitBtn = document.getElementById('submitPitReportBtn');
+        if (submitBtn) submitBtn.disabled = true;
+        try {
+            const token = localStorage.getItem('authToken');
+            const response = await fetch(`${this.API_BASE}/api/pit-reports/${payload.teamNumber}`, {
+                method: 'PUT',
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(payload)
+            });
+            if (response.ok) {
+                this.savePitReport(payload);
+                showNotification(`Pit report for team ${payload.teamNumber} saved`, 'success');
+            } else {
+                showNotification(response.status === 413 ? 'Photos are too large - remove one and try again' : 'Failed to save pit report', 'error');
+            }
+        } catch (error) {
+            console.error('Submit pit report error:', error);
+            if (this.isNetworkError(error) && await this.queueOperation({ type: 'pit', recordId: `pit-${payload.teamNumber}`, payload })) {
+                this.savePitReport(payload);
+                showNotification(`Offline - pit report for team ${payload.teamNumber} saved locally and will sync when back online`, 'warning');
+            } else {
+                showNotification('Failed to save pit report', 'error');
+            }
+        } finally {
+            if (submitBtn) submitBtn.disabled = false;
+        }
+    }
+
+    savePitReport(report) {
+        this.pitReports.set(String(report.teamNumber), report);
+        if (this.offlineQueue) this.offlineQueue.saveCache('pitReports', [...this.pitReports.values()]).catch(() => {});
+        this.closePitReportModal();
+        const open = this.selectedTeam && String(ScoutingData.getTeamNumber(this.selectedTeam)) === String(report.teamNumber);
+        if (open) this.showTeamDetails(this.getTeamId(this.selectedTeam));
+    }
+
+    generatePitSection(teamNumber) {
+        const report = this.pitReports.get(String(teamNumber));
+        const link = `
+            <button class="btn secondary pit-report-link" data-team-number="${this.escapeHtml(teamNumber)}">
+                <i class="fas fa-tools"></i> ${report ? 'Update' : 'Add'} pit report
+            </button>`;
+        if (!report) return `<div class="details-section pit-section"><h3>Pit Scouting</h3><p class="pit-empty">No pit report yet</p>${link}</div>`;
+        const rows = this.schema.pitFields
+            .filter(field => field.section !== 'team')
+            .map(field => [field, report[field.key]])
+            .filter(([, value]) => value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && !value.length))
+            .map(([field, value]) => `<p><strong>${this.escapeHtml(field.label)}:</strong> ${this.escapeHtml(Array.isArray(value) ? value.join(', ') : value)}</p>`)
+            .join('');
+        const photos = Array.isArray(report.photos) ? report.photos.filter(photo => ImageCompression.isImageDataUrl(photo)) : [];
+        return `
+            <div class="details-section pit-section">
+                <h3>Pit Scouting</h3>
+                <p class="pit-meta">By ${this.escapeHtml(report.scoutName || report.updatedBy || 'Unknown')} · ${this.escapeHtml(this.formatDate(report.updatedAt))}</p>
+                ${rows}
+                ${photos.length ? `
+                    <div class="pit-gallery">
+                        ${photos.map((photo, index) => `<img class="pit-photo" src="${this.escapeHtml(photo)}" alt="Team ${this.escapeHtml(teamNumber)} robot photo ${index + 1}">`).join('')}
+                    </div>` : ''}
+                ${link}
+            </div>`;
+    }
+
+    openPhotoViewer(src) {
+        const image = document.getElementById('photoViewerImage');
+        if (!image) return;
+        image.src = src;
+        document.getElementById('photoViewerModal')?.classList.add('show');
+    }
+
+    closePhotoViewer() {
+        document.getElementById('photoViewerModal')?.classList.remove('show');
+    }
+
+    openQrTransfer(mode = 'send', records = null) {
+        const modal = document.getElementById('qrTransferModal');
+        if (!modal) return;
+        modal.classList.add('show');
+        this.showQrMode(mode, records);
+    }
+
+    closeQrTransfer() {
+        this.stopQrScanner();
+        this.stopQrAutoPlay();
+        document.getElementById('qrTransferModal')?.classList.remove('show');
+    }
+
+    shareTeamQr() {
+        if (this.selectedTeam) this.openQrTransfer('send', [this.selectedTeam]);
+    }
+
+    // Sends the selected cards when there are any, otherwise everything matching the current filters
+    showQrMode(mode, records = null) {
+        document.querySelectorAll('.qr-tab').forEach(tab => tab.classList.toggle('active', tab.dataset.mode === mode));
+        const sendPanel = document.getElementById('qrSendPanel');
+        if (sendPanel) sendPanel.style.display = mode === 'send' ? '' : 'none';
+        const scanPanel = document.getElementById('qrScanPanel');
+        if (scanPanel) scanPanel.style.display = mode === 'scan' ? '' : 'none';
+        if (mode === 'send') {
+            this.stopQrScanner();
+            const selected = this.getSelectedRecords();
+            this.prepareQrSend(records || (selected.length ? selected : this.getFilteredRecords()));
+        } else {
+            this.stopQrAutoPlay();
+            this.renderQrScanProgress();
+            this.startQrScanner();
+        }
+    }
+
+    async prepareQrSend(records) {
+        this.stopQrAutoPlay();
+        this.qrChunks = [];
+        this.qrIndex = 0;
+        this.qrRecordCount = records.length;
+        if (!records.length) {
+            this.setElementHTML('qrCode', '<div class="qr-empty">No reports to send</div>');
+            this.setElementText('qrProgress', '');
+            return;
+        }
+        try {
+            this.qrChunks = await QRTransfer.encode(records);
+            this.renderQrCode();
+            if (this.qrChunks.length > 1) this.toggleQrAutoPlay();
+        } catch (error) {
+            console.error('QR encode error:', error);
+            showNotification(`Failed to create QR codes: ${error.message}`, 'error');
+        }
+    }
+
+    renderQrCode() {
+        const chunk = this.qrChunks[this.qrIndex];
+        if (!chunk) return;
+        try {
+            this.setElementHTML('qrCode', QRTransfer.toSvg(chunk));
+        } catch (error) {
+            console.error('QR render error:', error);
+            this.setElementHTML('qrCode', `<div class="qr-empty">${this.escapeHtml(error.message)}</div>`);
+        }
+        this.setElementText('qrProgress', `Code ${this.qrIndex + 1} of ${this.qrChunks.length} · ${this.qrRecordCount} report${this.qrRecordCount === 1 ? '' : 's'}`);
+    }
+
+    stepQrCode(delta) {
+        if (!this.qrChunks.length) return;
+        this.qrIndex = (this.qrIndex + delta + this.qrChunks.length) % this.qrChunks.length;
+        this.renderQrCode();
+    }
+
+    // Cycling through the codes lets the scanner pick them up without anyone pressing next
+    toggleQrAutoPlay() {
+        if (this.qrTimer) {
+            this.stopQrAutoPlay();
+            return;
+        }
+        this.qrTimer = setInterval(() => this.stepQrCode(1), 1500);
+        this.setElementText('qrAutoPlayLabel', 'Pause');
+    }
+
+    stopQrAutoPlay() {
+        clearInterval(this.qrTimer);
+        this.qrTimer = null;
+        this.setElementText('qrAutoPlayLabel', 'Play');
+    }
+
+    async startQrScanner() {
+        if (this.qrScanner) return;
+        const video = document.getElementById('qrVideo');
+        if (!video) return;
+        if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia || typeof jsQR === 'undefined') {
+            showNotification('QR scanning is not available in this browser', 'error');
+            return;
+        }
+        try {
+            const stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+            this.qrScanner = { stream, canvas: document.createElement('canvas'), frame: null };
+            video.srcObject = stream;
+            await video.play();
+            this.qrScanner.frame = requestAnimationFrame(() => this.scanQrFrame());
+        } catch (error) {
+            console.error('Camera error:', error);
+            this.stopQrScanner();
+            showNotification('Could not open the camera - check the browser permission', 'error');
+        }
+    }
+
+    scanQrFrame() {
+        if (!this.qrScanner) return;
+        const video = document.getElementById('qrVideo');
+        if (video && video.readyState >= video.HAVE_CURRENT_DATA && video.videoWidth) {
+            const { canvas } = this.qrScanner;
+            canvas.width = video.videoWidth;
+            canvas.height = video.videoHeight;
+            const context = canvas.getContext('2d', { willReadFrequently: true });
+            context.drawImage(video, 0, 0, canvas.width, canvas.height);
+            const image = context.getImageData(0, 0, canvas.width, canvas.height);
+            const code = jsQR(image.data, image.width, image.height, { inversionAttempts: 'dontInvert' });
+            if (code && code.data) this.handleQrChunk(code.data);
+        }
+        this.qrScanner.frame = requestAnimationFrame(() => this.scanQrFrame());
+    }
+
+    stopQrScanner() {
+        if (!this.qrScanner) return;
+        cancelAnimationFrame(this.qrScanner.frame);
+        this.qrScanner.stream.getTracks().forEach(track => track.stop());
+        this.qrScanner = null;
+        const video = document.getElementById('qrVideo');
+        if (video) video.srcObject = null;
+    }
+
+    async handleQrChunk(text) {
+        const chunk = QRTransfer.parseChunk(text);
+        if (!chunk || this.qrImported.has(chunk.id)) return;
+        if (this.qrTransfers.get(chunk.id)?.parts.has(chunk.index)) return;
+        const transfer = QRTransfer.addChunk(this.qrTransfers, chunk);
+        if (!transfer) return;
+        this.renderQrScanProgress();
+        if (!transfer.complete) return;
+        this.qrImported.add(chunk.id);
+        try {
+            await this.mergeScannedReports(await QRTransfer.decode(transfer.encoding, QRTransfer.assemble(transfer)));
+        } catch (error) {
+            console.error('QR decode error:', error);
+            showNotification(`Could not read QR transfer: ${this.escapeHtml(error.message)}`, 'error');
+        }
+        this.renderQrScanProgress();
+    }
+
+    renderQrScanProgress() {
+        if (!this.qrTransfers.size) {
+            this.setElementHTML('qrScanProgress', '<div class="qr-empty">Point the camera at the QR codes on the scouting tablet</div>');
+            return;
+        }
+        this.setElementHTML('qrScanProgress', [...this.qrTransfers].reverse().map(([id, transfer]) => {
+            const missing = Array.from({ length: transfer.total }, (_, index) => index + 1).filter(index => !transfer.parts.has(index));
+            return `
+                <div class="qr-transfer${transfer.complete ? ' complete' : ''}">
+                    <strong>${transfer.complete ? '<i class="fas fa-check-circle"></i>' : '<i class="fas fa-qrcode"></i>'} Transfer ${this.escapeHtml(id)}</strong>
+                    <span>${transfer.parts.size} of ${transfer.total} codes${missing.length ? ` · waiting for ${missing.join(', ')}` : ' · merged'}</span>
+                </div>`;
+        }).join(''));
+    }
+
+    // Reports that fail the same checks as the new report form, or are already in the dataset for the same
+    // match and scout, are skipped; the rest go through the normal create path, so a laptop without internet
+    // queues them until it is back online
+    async mergeScannedReports(reports) {
+        const valid = reports
+            .filter(report => report && typeof report === 'object' && !Array.isArray(report))
+            .map(report => QRTransfer.compact(report))
+            .filter(report => !this.validateReport(report).length);
+        const invalid = reports.length - valid.length;
+        const existing = new Set(this.allTeams.map(record => `${ScoutingData.getMatchKey(record)}|${ScoutingData.getScoutName(record)}`));
+        const fresh = valid.filter(report => !existing.has(`${ScoutingData.getMatchKey(report)}|${ScoutingData.getScoutName(report)}`));
+        const skipped = valid.length - fresh.length;
+        const skippedCounts = [
+            invalid ? `${invalid} invalid` : '',
+            skipped ? `${skipped} duplicate${skipped === 1 ? '' : 's'}` : ''
+        ].filter(Boolean).join(', ');
+        if (!fresh.length) {
+            if (invalid) showNotification(`None of the ${reports.length} scanned reports could be merged (${skippedCounts})`, 'error');
+            else showNotification(`All ${reports.length} scanned reports are already in the dataset`, 'info');
+            return;
+        }
+        const { saved, offline } = await this.createReports(fresh);
+        this.addImportedReports(saved);
+        const skippedNote = skippedCounts ? ` (${skippedCounts} skipped)` : '';
+        if (offline) {
+            showNotification(`Offline - ${saved.length} scanned reports saved locally and will upload when back online${skippedNote}`, 'warning');
+        } else {
+            showNotification(`Merged ${saved.length} scanned report${saved.length === 1 ? '' : 's'}${skippedNote}`, 'success');
+        }
+    }
+
+    addReport(report) {
+        this.allTeams.push(report);
+        this.markTeamsChanged();
+        this.populateScoutsFilter();
+        this.applyFilters();
+        this.updateStats();
+        this.closeNewReportModal();
+    }
+
+    openImportModal() {
+        const modal = document.getElementById('importModal');
+        if (!modal) return;
+        this.importData = null;
+        const fileInput = document.getElementById('importFile');
+        if (fileInput) fileInput.value = '';
+        this.setElementHTML('importMapping', '');
+        this.setElementHTML('importPreview', '');
+        const confirmBtn = document.getElementById('confirmImportBtn');
+        if (confirmBtn) confirmBtn.disabled = true;
+        modal.classList.add('show');
+    }
+
+    closeImportModal() {
+        const modal = document.getElementById('importModal');
+        if (modal) modal.classList.remove('show');
+        this.importData = null;
+    }
+
+    async handleImportFile(file) {
+        try {
+            const table = await ScoutingImport.readFile(file);
+            if (!table.rows.length) {
+                showNotification(`${this.escapeHtml(file.name)} has no data rows`, 'warning');
+                return;
+            }
+            this.importData = {
+                fileName: file.name,
+                headers: table.headers,
+                rows: table.rows,
+                mapping: ScoutingImport.guessMapping(table.headers, this.schema)
+            };
+            this.renderImportMapping();
+            this.renderImportPreview();
+        } catch (error) {
+            console.error('Import read error:', error);
+            showNotification(`Failed to read ${this.escapeHtml(file.name)}: ${this.escapeHtml(error.message)}`, 'error');
+        }
+    }
+
+    renderImportMapping() {
+        const { headers, rows, mapping } = this.importData;
+        const options = header => this.schema.fields.map(field => `
+            <option value="${field.key}"${mapping[header] === field.key ? ' selected' : ''}>${this.escapeHtml(field.label)}</option>
+        `).join('');
+        this.setElementHTML('importMapping', `
+            <h3>Column Mapping</h3>
+            <table class="import-table">
+                <thead><tr><th>Column</th><th>Example</th><th>Field</th></tr></thead>
+                <tbody>
+                    ${headers.map(header => `
+                        <tr>
+                            <td>${this.escapeHtml(header)}</td>
+                            <td class="import-sample">${this.escapeHtml(rows[0][header])}</td>
+                            <td>
+                                <select class="filter-select" data-header="${this.escapeHtml(header)}">
+                                    <option value="">Ignore column</option>
+                                    ${options(header)}
+                                </select>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `);
+    }
+
+    // Each row is validated against the schema and checked against existing reports and earlier rows
+    buildImportRows() {
+        const { rows, mapping } = this.importData;
+        const existing = new Set(this.allTeams.map(team => ScoutingData.getMatchKey(team)).filter(Boolean));
+        const seen = new Map();
+        return rows.map((row, index) => {
+            const record = ScoutingImport.mapRow(row, mapping, this.schema);
+            const rowNumber = index + 2; // header is row 1
+            const key = ScoutingData.getMatchKey(record);
+            let duplicate = '';
+            if (key && existing.has(key)) {
+                duplicate = `Team ${record.teamNumber} is already scouted in ${ScoutingData.formatMatchLabel(record)}`;
+            } else if (key && seen.has(key)) {
+                duplicate = `Same team and match as row ${seen.get(key)}`;
+            }
+            if (key && !seen.has(key)) seen.set(key, rowNumber);
+            return { rowNumber, record, errors: this.validateReport(record), duplicate };
+        });
+    }
+
+    renderImportPreview() {
+        const importRows = this.buildImportRows();
+        const ready = importRows.filter(row => !row.errors.length && !row.duplicate);
+        const invalid = importRows.filter(row => row.errors.length);
+        const duplicates = importRows.filter(row => !row.errors.length && row.duplicate);
+        const PREVIEW_LIMIT = 100;
+        const status = row => {
+            if (row.errors.length) return `<span class="import-status error">${row.errors.map(e => this.escapeHtml(e)).join('<br>')}</span>`;
+            if (row.duplicate) return `<span class="import-status warning">Duplicate - ${this.escapeHtml(row.duplicate)}</span>`;
+            return '<span class="import-status ready">Ready</span>';
+        };
+        this.setElementHTML('importPreview', `
+            <h3>Preview</h3>
+            <p class="import-summary">
+                <strong>${ready.length}</strong> ready · <strong>${invalid.length}</strong> with errors · <strong>${duplicates.length}</strong> duplicates
+                <span class="import-note">Only ready rows are imported.</span>
+            </p>
+            <table class="import-table">
+                <thead><tr><th>Row</th><th>Team</th><th>Match</th><th>Scout</th><th>Status</th></tr></thead>
+                <tbody>
+                    ${importRows.slice(0, PREVIEW_LIMIT).map(row => `
+                        <tr class="${row.errors.length ? 'has-error' : row.duplicate ? 'has-warning' : ''}">
+                            <td>${row.rowNumber}</td>
+                            <td>${this.escapeHtml(row.record.teamNumber ?? '')}</td>
+                            <td>${this.escapeHtml(ScoutingData.formatMatchLabel(row.record))}</td>
+                            <td>${this.escapeHtml(row.record.scoutName ?? '')}</td>
+                            <td>${status(row)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ${importRows.length > PREVIEW_LIMIT ? `<p class="import-note">Showing the first ${PREVIEW_LIMIT} of ${importRows.length} rows.</p>` : ''}
+        `);
+        const confirmBtn = document.getElementById('confirmImportBtn');
+        if (confirmBtn) {
+            confirmBtn.disabled = !ready.length;
+            confirmBtn.innerHTML = `<i class="fas fa-file-import"></i> Import ${ready.length} Report${ready.length === 1 ? '' : 's'}`;
+        }
+    }
+
+    async confirmImport() {
+        if (!this.importData) return;
+        const reports = this.buildImportRows().filter(row => !row.errors.length && !row.duplicate).map(row => row.record);
+        if (!reports.length) return;
+        const confirmBtn = document.getElementById('confirmImportBtn');
+        if (confirmBtn) confirmBtn.disabled = true;
+        try {
+            const { saved, offline } = await this.createReports(reports);
+            this.addImportedReports(saved);
+            if (offline) {
+                showNotification(`Offline - ${saved.length} of ${reports.length} imported reports saved locally and will sync when back online`, 'warning');
+            } else {
+                showNotification(`Imported ${reports.length} report${reports.length === 1 ? '' : 's'} from ${this.escapeHtml(this.importData.fileName)}`, 'success');
+            }
+            this.closeImportModal();
+        } catch (error) {
+            console.error('Import error:', error);
+            showNotification('Failed to import reports', 'error');
+            if (confirmBtn) confirmBtn.disabled = false;
+        }
+    }
+
+    // Creates reports in one request; when offline each report is queued under a local id instead
+    async createReports(reports) {
+        try {
+            const token = localStorage.getItem('authToken');
+            const response = await fetch(`${this.API_BASE}/api/teams`, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(reports)
+            });
+            if (!response.ok) throw new Error(`API error: ${response.status}`);
+            const created = await response.json().catch(() => null);
+            const saved = Array.isArray(created) ? created : (created && Array.isArray(created.data) ? created.data : []);
+            return { saved: reports.map((report, index) => ({ ...report, ...(saved[index] || {}) })), offline: false, unsaved: [] };
+        } catch (error) {
+            if (!this.isNetworkError(error)) throw error;
+            const queued = [];
+            const unsaved = [];
+            for (const [index, report] of reports.entries()) {
+                const recordId = `${this.LOCAL_ID_PREFIX}${Date.now()}-${index}`;
+                if (await this.queueOperation({ type: 'create', recordId, payload: report })) queued.push({ ...report, id: recordId });
+                else unsaved.push(report);
+            }
+            return { saved: queued, offline: true, unsaved };
+        }
+    }
+
+    addImportedReports(reports) {
+        this.allTeams.push(...reports);
+        this.markTeamsChanged();
+        this.populateScoutsFilter();
+        this.applyFilters();
+        this.updateStats();
+    }
+
+    editTeam() {
+        if (!this.selectedTeam) return;
+        const modal = document.getElementById('editTeamModal');
+        if (modal) {
+            document.getElementById('editTeamName').value = this.selectedTeam.teamName || '';
+            document.getElementById('editScoutName').value = this.selectedTeam.scoutName || this.selectedTeam.scout || this.selectedTeam.scoutedBy || this.selectedTeam.createdBy || '';
+            document.getElementById('editReliability').value = this.selectedTeam.reliability || '';
+            const dateVal = this.selectedTeam.date || this.selectedTeam.createdAt || this.selectedTeam.timestamp;
+            document.getElementById('editDate').value = dateVal ? new Date(dateVal).toISOString().split('T')[0] : '';
+            document.getElementById('editNotes').value = this.selectedTeam.notes || '';
+            modal.classList.add('show');
+        }
+    }
+
+    closeEditModal() {
+        document.getElementById('editTeamModal')?.classList.remove('show');
+    }
+
+    async saveTeamEdits() {
+        if (!this.selectedTeam) return;
+        const updated = {
+            teamName: document.getElementById('editTeamName').value,
+            scoutName: document.getElementById('editScoutName').value,
+            reliability: document.getElementById('editReliability').value,
+            date: document.getElementById('editDate').value,
+            notes: document.getElementById('editNotes').value
+        };
+        await this.saveRecordChanges(this.selectedTeam, updated);
+    }
+
+    isSameValue(a, b) {
+        return JSON.stringify(a ?? '') === JSON.stringify(b ?? '');
+    }
+
+    // Only changed fields are sent, together with the record's history plus a version describing the change
+    buildVersionedUpdate(record, updated, revertedTo = null) {
+        const changes = {};
+        Object.entries(updated).forEach(([key, value]) => {
+            if (!this.isSameValue(record[key], value)) changes[key] = { from: record[key] ?? null, to: value };
+        });
+        if (!Object.keys(changes).length) return null;
+        const version = {
+            id: `v-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
+            editedAt: new Date().toISOString(),
+            editedBy: this.getCurrentUsername(),
+            changes
+        };
+        if (revertedTo) version.revertedTo = revertedTo;
+        const payload = Object.fromEntries(Object.keys(changes).map(key => [key, updated[key]]));
+        payload.history = [...(Array.isArray(record.history) ? record.history : []), version];
+        return payload;
+    }
+
+    // Resolves to true when the change was saved or queued offline (or there was nothing to change)
+    async saveRecordChanges(record, updated, revertedTo = null) {
+        const payload = this.buildVersionedUpdate(record, updated, revertedTo);
+        if (!payload) {
+            showNotification('No changes to save', 'info');
+            this.closeEditModal();
+            return true;
+        }
+        const recordId = this.getTeamId(record);
+        try {
+            if (this.isLocalId(recordId)) throw new TypeError('Record has not been synced yet');
+            // The PUT replaces the whole history, so versions other users saved since this page loaded are kept
+            const server = await this.fetchRecord(recordId);
+            if (server) this.mergeHistory(payload, server);
+            const token = localStorage.getItem('authToken');
+            const response = await fetch(`${this.API_BASE}/api/teams/${recordId}`, {
+                method: 'PUT',
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(payload)
+            });
+            if (response.ok) {
+                this.applyTeamEdits(record, payload);
+                showNotification(revertedTo ? 'Version restored' : 'Team updated', 'success');
+                return true;
+            }
+            showNotification('Failed to update team', 'error');
+        } catch (error) {
+            console.error('Edit team error:', error);
+            const base = Object.fromEntries(Object.keys(payload).map(key => [key, record[key] ?? '']));
+            if (this.isNetworkError(error) && await this.queueOperation({ type: 'update', recordId, payload, base })) {
+                this.applyTeamEdits(record, payload);
+                showNotification('Offline - edit saved locally and will sync when back online', 'warning');
+                return true;
+            }
+            showNotification('Failed to update team', 'error');
+        }
+        return false;
+    }
+
+    // Appends versions the server has not seen yet to the server's own history
+    mergeHistory(payload, server) {
+        if (!Array.isArray(payload.history) || !Array.isArray(server.history)) return;
+        const mine = payload.history.filter(version => !server.history.some(existing => existing.id === version.id));
+        payload.history = [...server.history, ...mine];
+    }
+
+    applyTeamEdits(record, updated) {
+        Object.assign(record, updated);
+        this.markTeamsChanged();
+        this.applyFilters(false);
+        this.updateStats();
+        if (record === this.selectedTeam) this.showTeamDetails(this.getTeamId(record));
+        this.closeEditModal();
+    }
+
+    // Rolls back every edit made after the chosen version and saves the result as a new version
+    revertToVersion(versionId) {
+        const record = this.selectedTeam;
+        if (!record) return;
+        const history = Array.isArray(record.history) ? record.history : [];
+        const index = versionId === 'original' ? -1 : history.findIndex(version => version.id === versionId);
+        if (versionId !== 'original' && index === -1) return;
+        const restored = {};
+        history.slice(index + 1).reverse().forEach(version => {
+            Object.entries(version.changes || {}).forEach(([key, change]) => { restored[key] = change.from; });
+        });
+        this.saveRecordChanges(record, restored, versionId);
+    }
+
+    // Resolves to true when the server deleted the record and false when the delete was queued offline
+    async deleteRecord(record) {
+        const recordId = this.getTeamId(record);
+        try {
+            if (this.isLocalId(recordId)) throw new TypeError('Record has not been synced yet');
+            const token = localStorage.getItem('authToken');
+            const response = await fetch(`${this.API_BASE}/api/teams/${recordId}`, {
+                method: 'DELETE',
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    'Content-Type': 'application/json'
+                }
+            });
+            if (!response.ok) throw new Error(`API error: ${response.status}`);
+            return true;
+        } catch (error) {
+            if (this.isNetworkError(error) && await this.queueOperation({ type: 'delete', recordId })) return false;
+            throw error;
+        }
+    }
+
+    async deleteTeam() {
+        if (!this.selectedTeam) return;
+        const record = this.selectedTeam;
+        const result = await this.deleteToTrash([record], `Team ${ScoutingData.getTeamNumber(record)} ${ScoutingData.formatMatchLabel(record) || 'report'}`);
+        if (!result) return;
+        if (!result.removed.length) {
+            showNotification('Failed to delete team', 'error');
+        } else if (result.queued) {
+            showNotification('Offline - delete saved locally and will sync when back online', 'warning');
+            this.closeTeamModal();
+        } else {
+            showNotification('Team moved to trash', 'success');
+            this.closeTeamModal();
         }
     }
 
     bulkDeleteTeams() {
         const modal = document.getElementById('bulkDeleteModal');
-        if (modal) modal.classList.add('show');
+        if (!modal) return;
+        const scope = this.getSelectedRecords().length ? 'selected' : 'filtered';
+        document.querySelectorAll('input[name="bulkDeleteScope"]').forEach(input => { input.checked = input.value === scope; });
+        this.renderBulkDeletePreview();
+        modal.classList.add('show');
     }
 
     closeBulkDeleteModal() {
@@ -453,34 +3718,631 @@ class ScoutingManager {
         if (btn) btn.disabled = true;
     }
 
+    getBulkDeleteScope() {
+        return document.querySelector('input[name="bulkDeleteScope"]:checked')?.value || 'filtered';
+    }
+
+    getBulkDeleteRecords() {
+        return this.getBulkDeleteScope() === 'selected' ? this.getSelectedRecords() : this.getFilteredRecords();
+    }
+
+    renderBulkDeletePreview() {
+        const records = this.getBulkDeleteRecords();
+        const count = records.length;
+        this.setElementText('bulkSelectedCount', this.getSelectedRecords().length);
+        this.setElementText('bulkFilteredCount', this.getFilteredRecords().length);
+        this.setElementText('bulkDeleteTitle', count && count === this.allTeams.length
+            ? `This will remove all ${count} scouting reports`
+            : `${count} report${count === 1 ? '' : 's'} will be moved to the trash`);
+        this.setElementText('bulkDeleteLabel', `Move ${count} to Trash`);
+        this.setElementHTML('bulkDeletePreview', count ? `
+            <table class="profile-matches-table">
+                <thead><tr><th>Team</th><th>Match</th><th>Scout</th><th>Date</th></tr></thead>
+                <tbody>
+                    ${records.map(record => `
+                        <tr>
+                            <td>${this.escapeHtml(ScoutingData.getTeamNumber(record) ?? 'N/A')} ${this.escapeHtml(record.teamName || '')}</td>
+                            <td>${this.escapeHtml(ScoutingData.formatMatchLabel(record) || '-')}</td>
+                            <td>${this.escapeHtml(ScoutingData.getScoutName(record) || 'Unknown')}</td>
+                            <td>${this.formatDate(ScoutingData.getDate(record))}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        ` : '<p class="bulk-delete-empty">Nothing to delete in this scope</p>');
+        const checkbox = document.getElementById('confirmBulkDelete');
+        const btn = document.getElementById('confirmBulkBtn');
+        if (checkbox) checkbox.disabled = !count;
+        if (btn) btn.disabled = !count || !checkbox?.checked;
+    }
+
+    clearRecordSelection() {
+        this.selectedRecords.clear();
+        this.renderTeams();
+        this.renderBulkDeletePreview();
+    }
+
     async confirmBulkDelete() {
+        const records = this.getBulkDeleteRecords();
+        if (!records.length) return;
+        const description = this.getBulkDeleteScope() === 'selected' ? 'Selected reports' : 'Filtered reports';
+        const btn = document.getElementById('confirmBulkBtn');
+        if (btn) btn.disabled = true;
+        const result = await this.deleteToTrash(records, description, index => {
+            this.setElementText('bulkDeleteLabel', `Deleting ${index + 1} of ${records.length}...`);
+        });
+        if (!result) {
+            this.renderBulkDeletePreview();
+            return;
+        }
+        const { removed, queued } = result;
         this.closeBulkDeleteModal();
+        const failed = records.length - removed.length;
+        if (failed) {
+            showNotification(`Moved ${removed.length} reports to trash; ${failed} could not be deleted`, 'error');
+        } else if (queued) {
+            showNotification(`Offline - ${removed.length} reports moved to trash, ${queued} deletes will sync when back online`, 'warning');
+        } else {
+            showNotification(`Moved ${removed.length} report${removed.length === 1 ? '' : 's'} to trash`, 'success');
+        }
+    }
+
+    // The trash batch is written before anything is deleted, so a report is never gone from both the server and the trash.
+    // Resolves to { removed, queued }, or null when the trash could not hold the batch and nothing was deleted.
+    async deleteToTrash(records, description, onProgress = () => {}) {
+        const batchId = this.moveToTrash(records, description);
+        if (!batchId) {
+            showNotification('Browser storage is full, so the trash cannot keep these reports - nothing was deleted. Empty the trash and try again.', 'error');
+            return null;
+        }
+        const removed = [];
+        let queued = 0;
+        // One request per record so a failure part way through only leaves the failed records behind
+        for (const [index, record] of records.entries()) {
+            onProgress(index);
+            try {
+                if (!await this.deleteRecord(record)) queued++;
+                removed.push(record);
+            } catch (error) {
+                console.error('Delete error:', error);
+            }
+        }
+        if (removed.length < records.length) this.setTrashBatchRecords(batchId, removed);
+        if (removed.length) this.dropRecords(removed);
+        return { removed, queued };
+    }
+
+    dropRecords(records) {
+        const removedSet = new Set(records);
+        this.allTeams = this.allTeams.filter(record => !removedSet.has(record));
+        this.markTeamsChanged();
+        records.forEach(record => this.selectedRecords.delete(this.getTeamId(record)));
+        this.populateScoutsFilter();
+        this.applyFilters();
+        this.updateStats();
+    }
+
+    // Trash lives in localStorage as batches so a whole bulk delete can be restored in one go
+    loadTrash() {
+        try {
+            const cutoff = Date.now() - this.TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+            const trash = JSON.parse(localStorage.getItem('scoutingTrash') || '[]');
+            return Array.isArray(trash) ? trash.filter(batch => new Date(batch.deletedAt).getTime() > cutoff) : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    // Batches are newest first; when storage is full the oldest are dropped until the rest fit.
+    // Returns false when not even the newest batch fits, leaving the stored trash as it was.
+    saveTrash(trash) {
+        for (let kept = trash.length; kept >= Math.min(1, trash.length); kept--) {
+            try {
+                localStorage.setItem('scoutingTrash', JSON.stringify(trash.slice(0, kept)));
+                if (kept < trash.length) {
+                    showNotification(`Trash is full - the ${trash.length - kept} oldest deleted batch${trash.length - kept === 1 ? ' was' : 'es were'} removed from it`, 'warning');
+                }
+                return true;
+            } catch (error) {
+                console.error('Failed to save trash:', error);
+            }
+        }
+        return false;
+    }
+
+    // Returns the new batch's id, or null when it could not be stored
+    moveToTrash(records, description) {
+        const batch = {
+            id: `trash-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
+            description,
+            deletedAt: new Date().toISOString(),
+            deletedBy: this.getCurrentUsername(),
+            records: records.map(record => ({ ...record }))
+        };
+        return this.saveTrash([batch, ...this.loadTrash()]) ? batch.id : null;
+    }
+
+    // Keeps only the records that were really deleted; a batch left empty is dropped
+    setTrashBatchRecords(batchId, records) {
+        const ids = new Set(records.map(record => this.getTeamId(record)));
+        this.saveTrash(this.loadTrash()
+            .map(batch => batch.id === batchId ? { ...batch, records: batch.records.filter(record => ids.has(this.getTeamId(record))) } : batch)
+            .filter(batch => batch.records.length));
+    }
+
+    openTrashModal() {
+        const modal = document.getElementById('trashModal');
+        if (!modal) return;
+        this.renderTrash();
+        modal.classList.add('show');
+    }
+
+    closeTrashModal() {
+        document.getElementById('trashModal')?.classList.remove('show');
+    }
+
+    renderTrash() {
+        const trash = this.loadTrash();
+        this.setElementHTML('trashList', trash.length ? trash.map(batch => `
+            <div class="trash-batch">
+                <div class="trash-batch-info">
+                    <strong>${this.escapeHtml(batch.description)}</strong>
+                    <span>${batch.records.length} report${batch.records.length === 1 ? '' : 's'} · deleted by ${this.escapeHtml(batch.deletedBy)} on ${new Date(batch.deletedAt).toLocaleString()}</span>
+                    <span class="trash-teams">Teams ${this.escapeHtml([...new Set(batch.records.map(record => ScoutingData.getTeamNumber(record)))].join(', '))}</span>
+                </div>
+                <div class="trash-batch-actions">
+                    <button class="btn primary" data-action="restore" data-batch-id="${batch.id}"><i class="fas fa-undo"></i> Restore</button>
+                    <button class="btn secondary" data-action="discard" data-batch-id="${batch.id}">Discard</button>
+                </div>
+            </div>
+        `).join('') : `<div class="trash-empty">Trash is empty. Deleted reports are kept here for ${this.TRASH_RETENTION_DAYS} days.</div>`);
+    }
+
+    // Resolves to true when the report exists again under its original id: either its delete never left the
+    // offline queue, or the server undid it. Otherwise the caller creates the report again.
+    async restoreRecord(record) {
+        const recordId = this.getTeamId(record);
+        const pending = this.pendingOperations.find(op => op.type === 'delete' && op.recordId === recordId);
+        if (pending && this.offlineQueue) {
+            await this.offlineQueue.remove(pending.id);
+            await this.refreshPendingOperations();
+            return true;
+        }
+        if (this.isLocalId(recordId)) return false;
         try {
             const token = localStorage.getItem('authToken');
-            const response = await fetch(`${this.API_BASE}/api/teams`, {
-                method: 'DELETE',
+            const response = await fetch(`${this.API_BASE}/api/teams/${recordId}/restore`, {
+                method: 'POST',
                 headers: {
                     'Authorization': `Bearer ${token}`,
                     'Content-Type': 'application/json'
                 }
             });
-            if (response.ok) {
-                showNotification('All teams deleted', 'success');
-                await this.loadTeams(false);
+            return response.ok;
+        } catch (error) {
+            console.error('Restore report error:', error);
+            return false;
+        }
+    }
+
+    // Reports keep their ids where the server can restore them, so comments and links keyed by id still work;
+    // the rest are created again with their old id in the payload
+    async restoreTrashBatch(batchId) {
+        const batch = this.loadTrash().find(entry => entry.id === batchId);
+        if (!batch) return;
+        // Only records the server (or the offline queue) has taken back leave the trash, so a retry cannot duplicate them
+        const saved = [];
+        const done = new Set();
+        let offline = false;
+        try {
+            const recreate = [];
+            for (const record of batch.records) {
+                if (await this.restoreRecord(record)) {
+                    saved.push(record);
+                    done.add(record);
+                } else {
+                    recreate.push(record);
+                }
+            }
+            if (recreate.length) {
+                const result = await this.createReports(recreate);
+                saved.push(...result.saved);
+                offline = result.offline;
+                recreate.filter(record => !result.unsaved.includes(record)).forEach(record => done.add(record));
+            }
+        } catch (error) {
+            console.error('Restore error:', error);
+        }
+        if (done.size) {
+            this.setTrashBatchRecords(batchId, batch.records.filter(record => !done.has(record)));
+            this.addImportedReports(saved);
+        }
+        this.renderTrash();
+        const left = batch.records.length - done.size;
+        if (!done.size) {
+            showNotification('Failed to restore reports', 'error');
+        } else if (left) {
+            showNotification(`Restored ${done.size} of ${batch.records.length} reports; ${left} could not be restored and stay in the trash`, 'error');
+        } else if (offline) {
+            showNotification(`Offline - ${saved.length} restored reports will sync when back online`, 'warning');
+        } else {
+            showNotification(`Restored ${saved.length} report${saved.length === 1 ? '' : 's'}`, 'success');
+        }
+    }
+
+    discardTrashBatch(batchId) {
+        this.saveTrash(this.loadTrash().filter(entry => entry.id !== batchId));
+        this.renderTrash();
+    }
+
+    emptyTrash() {
+        this.saveTrash([]);
+        this.renderTrash();
+        showNotification('Trash emptied', 'info');
+    }
+
+    runDataQuality() {
+        this.qualityResults = DataQuality.check(this.allTeams, this.schema);
+        const badge = document.getElementById('dataQualityCount');
+        if (badge) {
+            badge.textContent = this.qualityResults.length;
+            badge.style.display = this.qualityResults.length ? 'flex' : 'none';
+        }
+        if (document.getElementById('dataQualityModal')?.classList.contains('show')) this.renderDataQuality();
+    }
+
+    openDataQuality() {
+        const modal = document.getElementById('dataQualityModal');
+        if (!modal) return;
+        this.qualityRule = '';
+        this.runDataQuality();
+        this.renderDataQuality();
+        modal.classList.add('show');
+    }
+
+    closeDataQuality() {
+        document.getElementById('dataQualityModal')?.classList.remove('show');
+    }
+
+    renderDataQuality() {
+        const counts = new Map(DataQuality.RULES.map(rule => [rule.key, 0]));
+        this.qualityResults.forEach(({ issues }) => new Set(issues.map(issue => issue.rule)).forEach(rule => counts.set(rule, counts.get(rule) + 1)));
+        this.setElementHTML('dataQualitySummary', DataQuality.RULES.map(rule => `
+            <button class="quality-chip${this.qualityRule === rule.key ? ' active' : ''}${counts.get(rule.key) ? '' : ' clear'}" data-rule="${rule.key}">
+                ${this.escapeHtml(rule.label)} <span>${counts.get(rule.key)}</span>
+            </button>
+        `).join(''));
+        const results = this.qualityRule
+            ? this.qualityResults.filter(({ issues }) => issues.some(issue => issue.rule === this.qualityRule))
+            : this.qualityResults;
+        this.setElementHTML('dataQualityList', results.length ? results.map(({ record, issues }) => `
+            <div class="quality-item">
+                <div class="quality-item-info">
+                    <strong>Team ${this.escapeHtml(ScoutingData.getTeamNumber(record) || 'N/A')}${ScoutingData.formatMatchLabel(record) ? ` · ${this.escapeHtml(ScoutingData.formatMatchLabel(record))}` : ''}</strong>
+                    <span>${this.escapeHtml(ScoutingData.getScoutName(record) || 'Unknown scout')} · ${this.formatDate(ScoutingData.getDate(record))}</span>
+                    <ul class="quality-issues">
+                        ${issues.map(issue => `<li><span class="quality-rule">${this.escapeHtml(issue.label)}</span> ${this.escapeHtml(issue.message)}</li>`).join('')}
+                    </ul>
+                </div>
+                <div class="quality-item-actions">
+                    <button class="btn primary" data-action="fix" data-record-id="${this.escapeHtml(this.getTeamId(record))}"><i class="fas fa-edit"></i> Fix</button>
+                    ${issues.some(issue => issue.rule === 'duplicateMatch') ? `<button class="btn secondary" data-action="merge" data-record-id="${this.escapeHtml(this.getTeamId(record))}"><i class="fas fa-compress-alt"></i> Merge</button>` : ''}
+                    <button class="btn secondary" data-action="view" data-record-id="${this.escapeHtml(this.getTeamId(record))}">View</button>
+                </div>
+            </div>
+        `).join('') : '<div class="quality-empty">No problems found in the scouting data.</div>');
+    }
+
+    // Opens the edit form for the flagged record on top of the panel; saving re-runs the checks
+    fixQualityIssue(recordId) {
+        const record = this.allTeams.find(team => this.getTeamId(team) === recordId);
+        if (!record) return;
+        this.selectedTeam = record;
+        this.editTeam();
+    }
+
+    // Opening from a data quality finding goes straight to the merge view for that record's cluster
+    openDuplicates(recordId = null) {
+        const modal = document.getElementById('duplicatesModal');
+        if (!modal) return;
+        if (recordId) this.duplicatesAnyScout = true;
+        const scope = document.getElementById('duplicateScope');
+        if (scope) scope.value = this.duplicatesAnyScout ? 'any' : 'scout';
+        this.findDuplicates();
+        const index = recordId ? this.duplicateClusters.findIndex(cluster => cluster.records.some(record => this.getTeamId(record) === recordId)) : -1;
+        if (index !== -1) this.openMerge(index);
+        modal.classList.add('show');
+    }
+
+    closeDuplicates() {
+        document.getElementById('duplicatesModal')?.classList.remove('show');
+        this.mergeCluster = null;
+    }
+
+    findDuplicates() {
+        this.duplicateClusters = DuplicateFinder.find(this.allTeams, { anyScout: this.duplicatesAnyScout });
+        this.showDuplicateList();
+    }
+
+    showDuplicateList() {
+        this.mergeCluster = null;
+        document.getElementById('duplicateListView').style.display = '';
+        document.getElementById('duplicateMergeView').style.display = 'none';
+        document.getElementById('duplicateBackBtn').style.display = 'none';
+        document.getElementById('confirmMergeBtn').style.display = 'none';
+        this.renderDuplicates();
+    }
+
+    renderDuplicates() {
+        this.setElementHTML('duplicatesList', this.duplicateClusters.length ? this.duplicateClusters.map((cluster, index) => `
+            <div class="quality-item">
+                <div class="quality-item-info">
+                    <strong>Team ${this.escapeHtml(cluster.teamNumber)} · ${this.escapeHtml(ScoutingData.formatMatchLabel(cluster.records[0]) || this.formatDate(ScoutingData.getDate(cluster.records[0])))}</strong>
+                    <span>${cluster.records.length} reports by ${this.escapeHtml(cluster.scouts.join(', '))}</span>
+                    ${cluster.teamNames.length > 1 ? `<span class="duplicate-names">Team name spelt ${cluster.teamNames.map(name => `"${this.escapeHtml(name)}"`).join(', ')}</span>` : ''}
+                </div>
+                <div class="quality-item-actions">
+                    <button class="btn primary" data-cluster="${index}"><i class="fas fa-compress-alt"></i> Review &amp; Merge</button>
+                </div>
+            </div>
+        `).join('') : '<div class="quality-empty">No duplicate reports found.</div>');
+    }
+
+    openMerge(index) {
+        const cluster = this.duplicateClusters[index];
+        if (!cluster) return;
+        this.mergeCluster = cluster;
+        this.mergeFields = DuplicateFinder.fields(cluster, this.schema);
+        this.setMergeKeeper(DuplicateFinder.defaultKeeper(cluster, this.mergeFields));
+        document.getElementById('duplicateListView').style.display = 'none';
+        document.getElementById('duplicateMergeView').style.display = '';
+        document.getElementById('duplicateBackBtn').style.display = '';
+        document.getElementById('confirmMergeBtn').style.display = '';
+        this.setElementText('confirmMergeLabel', `Merge ${cluster.records.length} Reports`);
+    }
+
+    // Changing the kept report resets the field choices to that report's values
+    setMergeKeeper(keeper) {
+        this.mergeKeeper = keeper;
+        this.mergeChoices = DuplicateFinder.defaultChoices(this.mergeFields, keeper);
+        this.renderMerge();
+    }
+
+    renderMerge() {
+        const cluster = this.mergeCluster;
+        if (!cluster) return;
+        const cell = (field, value, index) => {
+            const text = this.escapeHtml(this.formatValue(Array.isArray(value) ? value.join(', ') : value));
+            if (!field.differs) return `<td>${text}</td>`;
+            return `
+                <td class="${this.mergeChoices[field.key] === index ? 'merge-winner' : ''}">
+                    <label class="merge-choice">
+                        <input type="radio" name="merge-${this.escapeHtml(field.key)}" data-field="${this.escapeHtml(field.key)}" value="${index}" ${this.mergeChoices[field.key] === index ? 'checked' : ''}>
+                        ${text}
+                    </label>
+                </td>
+            `;
+        };
+        const differing = this.mergeFields.filter(field => field.differs);
+        const same = this.mergeFields.filter(field => !field.differs);
+        this.setElementHTML('duplicateMerge', `
+            <table class="compare-table merge-table">
+                <thead>
+                    <tr>
+                        <th>Field</th>
+                        ${cluster.records.map((record, index) => `
+                            <th class="${index === this.mergeKeeper ? 'merge-keeper' : ''}">
+                                <label class="merge-choice">
+                                    <input type="radio" name="mergeKeeper" value="${index}" ${index === this.mergeKeeper ? 'checked' : ''}>
+                                    ${index === this.mergeKeeper ? 'Keep' : 'Delete'}
+                                </label>
+                                <small>${this.escapeHtml(ScoutingData.getScoutName(record) || 'Unknown scout')} · ${this.formatDate(ScoutingData.getDate(record))}</small>
+                            </th>
+                        `).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${differing.map(field => `
+                        <tr class="merge-differs">
+                            <td>${this.escapeHtml(field.label || this.formatLabel(field.key))}</td>
+                            ${field.values.map((value, index) => cell(field, value, index)).join('')}
+                        </tr>
+                    `).join('')}
+                    ${same.map(field => `
+                        <tr class="merge-same">
+                            <td>${this.escapeHtml(field.label || this.formatLabel(field.key))}</td>
+                            ${field.values.map((value, index) => cell(field, value, index)).join('')}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `);
+    }
+
+    // Saves the winning values on the kept report first so the others are only deleted once that succeeded
+    async confirmMerge() {
+        const cluster = this.mergeCluster;
+        if (!cluster) return;
+        const keeper = cluster.records[this.mergeKeeper];
+        const losers = cluster.records.filter(record => record !== keeper);
+        const btn = document.getElementById('confirmMergeBtn');
+        if (btn) btn.disabled = true;
+        try {
+            const updated = DuplicateFinder.merge(this.mergeFields, this.mergeChoices, this.mergeKeeper);
+            const changed = Object.entries(updated).some(([key, value]) => !this.isSameValue(keeper[key], value));
+            if (changed && !await this.saveRecordChanges(keeper, updated)) return;
+            // The duplicates go through the trash like any other delete; when it is full they are all kept
+            const result = await this.deleteToTrash(losers, `Merged duplicates of team ${cluster.teamNumber}`);
+            if (!result) return;
+            const { removed, queued } = result;
+            this.findDuplicates();
+            const failed = losers.length - removed.length;
+            if (failed) {
+                showNotification(`Merged into one report; ${failed} duplicate${failed === 1 ? '' : 's'} could not be deleted`, 'error');
+            } else if (queued) {
+                showNotification(`Offline - merged, ${queued} deletes will sync when back online`, 'warning');
             } else {
-                showNotification('Failed to delete teams', 'error');
+                showNotification(`Merged ${cluster.records.length} reports into one`, 'success');
+            }
+        } finally {
+            if (btn) btn.disabled = false;
+        }
+    }
+
+    // Official results are shared with Analytics through the API, with a local copy for offline use.
+    // A local copy saved while offline is pushed first so the server copy does not overwrite it.
+    async loadOfficialResults() {
+        try {
+            if (localStorage.getItem('officialResultsUnsynced')) {
+                await this.putOfficialResults(JSON.parse(localStorage.getItem('officialResults') || '[]'));
+                localStorage.removeItem('officialResultsUnsynced');
+                showNotification('Results saved on this device have been synced', 'success');
+            }
+            const token = localStorage.getItem('authToken');
+            const response = await fetch(`${this.API_BASE}/api/official-results`, {
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    'Content-Type': 'application/json'
+                }
+            });
+            if (!response.ok) throw new Error(`API error: ${response.status}`);
+            const data = await response.json();
+            this.officialResults = Array.isArray(data) ? data : [];
+            localStorage.setItem('officialResults', JSON.stringify(this.officialResults));
+        } catch (error) {
+            console.error('Error loading official results:', error);
+            try {
+                this.officialResults = JSON.parse(localStorage.getItem('officialResults') || '[]');
+            } catch (parseError) {
+                this.officialResults = [];
             }
+        }
+    }
+
+    async persistOfficialResults() {
+        localStorage.setItem('officialResults', JSON.stringify(this.officialResults));
+        localStorage.setItem('officialResultsUnsynced', 'true');
+        try {
+            await this.putOfficialResults(this.officialResults);
+            localStorage.removeItem('officialResultsUnsynced');
+        } catch (error) {
+            console.error('Error saving official results:', error);
+            showNotification('Results saved on this device only - Analytics will see them once Scout Accuracy is opened again online', 'warning');
+        }
+    }
+
+    async putOfficialResults(results) {
+        const token = localStorage.getItem('authToken');
+        const response = await fetch(`${this.API_BASE}/api/official-results`, {
+            method: 'PUT',
+            headers: {
+                'Authorization': `Bearer ${token}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(results)
+        });
+        if (!response.ok) throw new Error(`API error: ${response.status}`);
+    }
+
+    async openScoutAccuracy() {
+        const modal = document.getElementById('scoutAccuracyModal');
+        if (!modal) return;
+        modal.classList.add('show');
+        await this.loadOfficialResults();
+        this.renderScoutAccuracy();
+    }
+
+    closeScoutAccuracy() {
+        document.getElementById('scoutAccuracyModal')?.classList.remove('show');
+        this.resetClearResultsConfirmation();
+    }
+
+    resetClearResultsConfirmation() {
+        const checkbox = document.getElementById('confirmClearResults');
+        if (checkbox) {
+            checkbox.checked = false;
+            checkbox.disabled = !this.officialResults.length;
+        }
+        const btn = document.getElementById('clearResultsBtn');
+        if (btn) btn.disabled = true;
+    }
+
+    // A re-imported result replaces the earlier one for the same event, match and team
+    async handleResultsFile(file) {
+        try {
+            const imported = ScoutAccuracy.parse(await file.text(), file.name, this.schema);
+            const keyOf = result => ScoutingData.getMatchKey(result);
+            const replaced = new Set(imported.map(keyOf));
+            this.officialResults = [...this.officialResults.filter(result => !replaced.has(keyOf(result))), ...imported];
+            await this.persistOfficialResults();
+            this.renderScoutAccuracy();
+            showNotification(`Imported ${imported.length} official results from ${this.escapeHtml(file.name)}`, 'success');
         } catch (error) {
-            console.error('Bulk delete error:', error);
-            showNotification('Failed to delete teams', 'error');
+            console.error('Official results import error:', error);
+            showNotification(`Failed to read results: ${this.escapeHtml(error.message)}`, 'error');
+        }
+    }
+
+    // Only runs once the confirmation box next to the button is ticked
+    async clearOfficialResults() {
+        if (!document.getElementById('confirmClearResults')?.checked) return;
+        const count = this.officialResults.length;
+        this.officialResults = [];
+        await this.persistOfficialResults();
+        this.renderScoutAccuracy();
+        showNotification(`Cleared ${count} official result${count === 1 ? '' : 's'}`, 'success');
+    }
+
+    renderScoutAccuracy() {
+        this.resetClearResultsConfirmation();
+        if (!this.officialResults.length) {
+            this.setElementHTML('scoutAccuracySummary', '');
+            this.setElementHTML('scoutAccuracyTable', '<div class="quality-empty">Import official match results to score your scouts.</div>');
+            return;
         }
+        const scores = ScoutAccuracy.score(this.allTeams, this.officialResults, this.schema);
+        const matched = scores.reduce((sum, entry) => sum + entry.matched, 0);
+        this.setElementHTML('scoutAccuracySummary', `${this.officialResults.length} official results · ${matched} of ${this.allTeams.length} reports matched`);
+        const formatBias = bias => bias === null ? '--' : `${bias > 0 ? '+' : ''}${bias.toFixed(1)}`;
+        this.setElementHTML('scoutAccuracyTable', `
+            <div class="compare-table-wrapper">
+                <table class="compare-table accuracy-table">
+                    <thead>
+                        <tr><th>Scout</th><th>Matched reports</th><th>Fields compared</th><th>Accuracy</th><th title="Mean difference from the official results on a 0-100 scale">Bias</th><th>Least accurate field</th></tr>
+                    </thead>
+                    <tbody>
+                        ${scores.map(entry => {
+                            const worst = Object.entries(entry.fields)
+                                .map(([key, stats]) => ({ field: this.schema.getField(key), rate: stats.agreed / stats.compared }))
+                                .filter(item => item.field && item.rate < 1)
+                                .sort((a, b) => a.rate - b.rate)[0];
+                            return `
+                                <tr>
+                                    <td>${this.escapeHtml(entry.scout)}</td>
+                                    <td>${entry.matched} / ${entry.reports}</td>
+                                    <td>${entry.compared}</td>
+                                    <td>${entry.accuracy === null ? '--' : `${entry.accuracy.toFixed(0)}%`}</td>
+                                    <td class="${entry.bias > ScoutAccuracy.TOLERANCE ? 'bias-high' : entry.bias < -ScoutAccuracy.TOLERANCE ? 'bias-low' : ''}">${formatBias(entry.bias)}</td>
+                                    <td>${worst ? `${this.escapeHtml(worst.field.label)} (${(worst.rate * 100).toFixed(0)}%)` : '--'}</td>
+                                </tr>
+                            `;
+                        }).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `);
     }
 
     updateStats() {
-        const totalTeams = this.allTeams.length;
-        this.setElementText('totalTeams', totalTeams);
+        this.runDataQuality();
+        this.refreshCoverage();
         const today = new Date().toISOString().split('T')[0];
-        const teamsToday = this.allTeams.filter(t => (t.date || t.createdAt || '').startsWith(today)).length;
+        const reportsToday = this.allTeams.filter(t => (t.date || t.createdAt || '').startsWith(today));
+        const teamLevel = this.viewLevel === 'team';
+        const profiles = teamLevel ? this.getTeamProfiles() : [];
+        this.setElementText('totalTeamsLabel', teamLevel ? 'Total Teams' : 'Match Reports');
+        this.setElementText('totalTeams', teamLevel ? profiles.length : this.allTeams.length);
+        const teamsToday = teamLevel ? ScoutingData.groupByTeam(reportsToday).size : reportsToday.length;
         this.setElementText('teamsToday', `${teamsToday} today`);
 
         const scoutSet = new Set(this.allTeams.map(t => t.scoutName || t.scout || t.scoutedBy || t.createdBy).filter(Boolean));
@@ -488,11 +4350,14 @@ class ScoutingManager {
         const scoutTodaySet = new Set(this.allTeams.filter(t => (t.date || t.createdAt || '').startsWith(today)).map(t => t.scoutName || t.scout || t.scoutedBy || t.createdBy).filter(Boolean));
         this.setElementText('scoutsToday', `${scoutTodaySet.size} today`);
 
-        const reliabilityMap = { 'Very Low': 1, 'Low': 2, 'Medium': 3, 'High': 4, 'Very High': 5 };
-        const reliabilities = this.allTeams.map(t => reliabilityMap[t.reliability]).filter(Boolean);
+        const reliabilityField = this.schema.getField('reliability');
+        // At team level every team counts once, weighted by its own match average
+        const reliabilities = !reliabilityField ? [] : teamLevel
+            ? profiles.map(p => p.averageReliability).filter(score => score !== null)
+            : this.allTeams.map(t => this.schema.getScore(t, reliabilityField)).filter(score => score !== null);
         if (reliabilities.length) {
             const avg = reliabilities.reduce((a, b) => a + b, 0) / reliabilities.length;
-            this.setElementText('avgReliability', `${avg.toFixed(2)}/5`);
+            this.setElementText('avgReliability', `${avg.toFixed(2)}/${this.schema.getScaleMax(reliabilityField)}`);
         } else {
             this.setElementText('avgReliability', 'N/A');
         }
@@ -503,7 +4368,335 @@ class ScoutingManager {
             return Date.now() - d.getTime() <= 7 * 24 * 60 * 60 * 1000;
         }).length;
         this.setElementText('recentReports', recentCount);
-        this.setElementText('reportsToday', `${teamsToday} today`);
+        this.setElementText('reportsToday', `${reportsToday.length} today`);
+    }
+
+    async cacheTeams() {
+        if (!this.offlineQueue) return;
+        try {
+            await this.offlineQueue.saveCache('teams', this.allTeams);
+        } catch (error) {
+            console.error('Failed to cache teams:', error);
+        }
+    }
+
+    async loadCachedTeams() {
+        if (!this.offlineQueue) return null;
+        try {
+            const cached = await this.offlineQueue.loadCache('teams');
+            return Array.isArray(cached) ? cached : null;
+        } catch (error) {
+            console.error('Failed to load cached teams:', error);
+            return null;
+        }
+    }
+
+    isLocalId(recordId) {
+        return String(recordId).startsWith(this.LOCAL_ID_PREFIX);
+    }
+
+    isNetworkError(error) {
+        // fetch rejects with a TypeError when the request never reaches the server
+        return !navigator.onLine || error instanceof TypeError;
+    }
+
+    async queueOperation(operation) {
+        if (!this.offlineQueue) return false;
+        try {
+            const pending = await this.offlineQueue.getAll();
+            const pendingCreate = pending.find(op => op.type === 'create' && op.recordId === operation.recordId);
+            if (pendingCreate && operation.type === 'update') {
+                pendingCreate.payload = { ...pendingCreate.payload, ...operation.payload };
+                await this.offlineQueue.update(pendingCreate);
+            } else if (pendingCreate && operation.type === 'delete') {
+                // The record never reached the server, so dropping its queued writes is enough
+                await Promise.all(pending.filter(op => op.recordId === operation.recordId).map(op => this.offlineQueue.remove(op.id)));
+            } else {
+                await this.offlineQueue.enqueue(operation);
+            }
+            await this.refreshPendingOperations();
+            return true;
+        } catch (error) {
+            console.error('Failed to queue offline operation:', error);
+            return false;
+        }
+    }
+
+    async refreshPendingOperations() {
+        if (!this.offlineQueue) return;
+        try {
+            this.pendingOperations = await this.offlineQueue.getAll();
+        } catch (error) {
+            console.error('Failed to read offline queue:', error);
+            this.pendingOperations = [];
+        }
+        this.updatePendingBadge();
+    }
+
+    async applyPendingOperations() {
+        await this.refreshPendingOperations();
+        this.pendingOperations.forEach(op => {
+            const index = this.allTeams.findIndex(t => this.getTeamId(t) === String(op.recordId));
+            if (op.type === 'create' && index === -1) {
+                this.allTeams.push({ ...op.payload, id: op.recordId });
+            } else if (op.type === 'update' && index !== -1) {
+                Object.assign(this.allTeams[index], op.payload);
+            } else if (op.type === 'delete' && index !== -1) {
+                this.allTeams.splice(index, 1);
+            }
+        });
+    }
+
+    updatePendingBadge() {
+        const count = this.pendingOperations.length;
+        const badge = document.getElementById('pendingSyncCount');
+        if (badge) {
+            badge.textContent = count;
+            badge.style.display = count > 0 ? 'flex' : 'none';
+        }
+        const button = document.getElementById('syncStatusBtn');
+        if (button) {
+            button.classList.toggle('offline', !navigator.onLine);
+            button.classList.toggle('has-conflicts', this.pendingOperations.some(op => op.status === 'conflict'));
+            button.title = navigator.onLine ? `${count} change(s) waiting to sync` : `Offline - ${count} change(s) waiting to sync`;
+        }
+        if (document.getElementById('syncModal')?.classList.contains('show')) this.renderSyncModal();
+    }
+
+    async syncOfflineQueue() {
+        if (!this.offlineQueue || this.isSyncing || !navigator.onLine) return;
+        this.isSyncing = true;
+        let synced = 0;
+        let conflicts = 0;
+        try {
+            const operations = await this.offlineQueue.getAll();
+            for (const op of operations) {
+                if (op.status === 'conflict') {
+                    conflicts++;
+                    continue;
+                }
+                const result = await this.replayOperation(op);
+                if (result === 'offline') break;
+                if (result === 'synced') {
+                    await this.offlineQueue.remove(op.id);
+                    synced++;
+                } else {
+                    if (result === 'conflict') conflicts++;
+                    await this.offlineQueue.update(op);
+                }
+            }
+        } catch (error) {
+            console.error('Offline sync error:', error);
+        } finally {
+            this.isSyncing = false;
+        }
+        await this.refreshPendingOperations();
+        if (synced > 0) {
+            showNotification(`Synced ${synced} offline change(s)`, 'success');
+            await this.loadTeams(false);
+        }
+        if (conflicts > 0) {
+            showNotification(`${conflicts} offline change(s) conflict with newer server data`, 'warning');
+        }
+    }
+
+    async replayOperation(op) {
+        const headers = {
+            'Authorization': `Bearer ${localStorage.getItem('authToken')}`,
+            'Content-Type': 'application/json'
+        };
+        const url = op.type === 'create' ? `${this.API_BASE}/api/teams`
+            : op.type === 'pit' ? `${this.API_BASE}/api/pit-reports/${op.payload.teamNumber}`
+                : `${this.API_BASE}/api/teams/${op.recordId}`;
+        try {
+            if (op.type === 'update' && op.base) {
+                const current = await fetch(url, { headers });
+                if (current.status === 404) {
+                    op.status = 'conflict';
+                    op.server = null;
+                    return 'conflict';
+                }
+                if (current.ok) {
+                    const server = await current.json();
+                    // History is merged rather than compared so concurrent edits keep both versions
+                    const conflictFields = Object.keys(op.payload).filter(key => key !== 'history' &&
+                        !this.isSameValue(server[key], op.base[key]) && !this.isSameValue(server[key], op.payload[key]));
+                    if (conflictFields.length) {
+                        op.status = 'conflict';
+                        op.server = server;
+                        op.conflictFields = conflictFields;
+                        return 'conflict';
+                    }
+                    this.mergeHistory(op.payload, server);
+                }
+            }
+            const response = await fetch(url, {
+                method: { create: 'POST', update: 'PUT', delete: 'DELETE', pit: 'PUT' }[op.type],
+                headers,
+                body: op.type === 'delete' ? undefined : JSON.stringify(op.payload)
+            });
+            if (response.ok || (op.type === 'delete' && response.status === 404)) return 'synced';
+            op.status = 'failed';
+            op.error = `API error: ${response.status}`;
+            return 'failed';
+        } catch (error) {
+            console.error('Replay error:', error);
+            return 'offline';
+        }
+    }
+
+    openSyncModal() {
+        this.renderSyncModal();
+        document.getElementById('syncModal')?.classList.add('show');
+    }
+
+    closeSyncModal() {
+        document.getElementById('syncModal')?.classList.remove('show');
+    }
+
+    renderSyncModal() {
+        const container = document.getElementById('syncQueueList');
+        if (!container) return;
+        if (this.pendingOperations.length === 0) {
+            container.innerHTML = '<div class="no-data"><i class="fas fa-check-circle"></i> Everything is synced</div>';
+            return;
+        }
+        container.innerHTML = this.pendingOperations.map(op => {
+            const team = this.allTeams.find(t => this.getTeamId(t) === String(op.recordId)) || op.payload || {};
+            const label = `${this.formatLabel(op.type)} - Team ${this.escapeHtml(team.teamNumber || op.recordId)}`;
+            let detail = `<span class="sync-status ${op.status}">${this.escapeHtml(op.status)}</span>`;
+            let actions = `<button class="btn secondary" onclick="discardOfflineChange(${op.id})">Discard</button>`;
+            if (op.status === 'conflict') {
+                detail += op.server
+                    ? `<table class="conflict-table">
+                        <tr><th>Field</th><th>Before</th><th>Server</th><th>Mine</th></tr>
+                        ${(op.conflictFields || []).map(key => `
+                            <tr>
+                                <td>${this.formatLabel(key)}</td>
+                                <td>${this.escapeHtml(this.formatValue(op.base[key]))}</td>
+                                <td>${this.escapeHtml(this.formatValue(op.server[key]))}</td>
+                                <td>${this.escapeHtml(this.formatValue(op.payload[key]))}</td>
+                            </tr>`).join('')}
+                    </table>`
+                    : '<p>This record was deleted on the server.</p>';
+                actions = `
+                    <button class="btn primary" onclick="resolveOfflineConflict(${op.id}, 'mine')">Keep Mine</button>
+                    <button class="btn secondary" onclick="resolveOfflineConflict(${op.id}, 'server')">Keep Server</button>`;
+            } else if (op.status === 'failed') {
+                detail += ` <span class="sync-error">${this.escapeHtml(op.error || '')}</span>`;
+            }
+            return `
+                <div class="sync-item">
+                    <div class="sync-item-header">
+                        <strong>${label}</strong>
+                        <span class="sync-time">${new Date(op.queuedAt).toLocaleString()}</span>
+                    </div>
+                    ${detail}
+                    <div class="sync-actions">${actions}</div>
+                </div>`;
+        }).join('');
+    }
+
+    async resolveConflict(operationId, choice) {
+        const op = this.pendingOperations.find(p => p.id === operationId);
+        if (!op) return;
+        if (choice === 'mine') {
+            // Without a base snapshot the replay overwrites the server copy; a record deleted
+            // on the server is re-created from the full local copy
+            const local = this.allTeams.find(t => this.getTeamId(t) === String(op.recordId));
+            const { id, ...record } = local || op.payload;
+            if (op.server) this.mergeHistory(op.payload, op.server);
+            const replay = op.server ? { ...op, base: null } : { ...op, type: 'create', payload: record };
+            const result = await this.replayOperation(replay);
+            if (result !== 'synced') {
+                showNotification('Could not save your version - try again when online', 'error');
+                return;
+            }
+        }
+        await this.offlineQueue.remove(op.id);
+        showNotification(choice === 'mine' ? 'Kept your version' : 'Kept the server version', 'success');
+        await this.loadTeams(false);
+    }
+
+    async discardOperation(operationId) {
+        if (!this.offlineQueue) return;
+        await this.offlineQueue.remove(operationId);
+        showNotification('Offline change discarded', 'info');
+        await this.loadTeams(false);
+    }
+
+    // Other users' changes arrive over the live channel; loadTeams and the status checks remain the fallback
+    startLiveUpdates() {
+        if (typeof LiveUpdates === 'undefined') return;
+        this.live = new LiveUpdates({
+            apiBase: this.API_BASE,
+            token: localStorage.getItem('authToken'),
+            user: this.getCurrentUsername(),
+            onEvent: (event) => this.applyLiveEvent(event),
+            onStatus: (status) => this.setLiveStatus(status)
+        });
+        this.live.connect();
+    }
+
+    // Events missed while the channel was down are caught up by reloading once it reconnects
+    setLiveStatus(status) {
+        const indicator = document.getElementById('liveStatus');
+        if (indicator) indicator.className = `status-indicator ${{ live: 'online', connecting: 'warning', offline: 'offline' }[status]}`;
+        if (!this.lastLiveEvent) this.setElementText('liveUpdateText', status === 'live' ? 'Live Updates' : status === 'connecting' ? 'Connecting...' : 'Not Live');
+        if (status === 'live' && this.liveConnected) this.loadTeams(false);
+        if (status === 'live') this.liveConnected = true;
+    }
+
+    // Resolves to the server's copy of a record, or null when the server no longer has it
+    async fetchRecord(recordId) {
+        const token = localStorage.getItem('authToken');
+        const response = await fetch(`${this.API_BASE}/api/teams/${encodeURIComponent(recordId)}`, {
+            headers: {
+                'Authorization': `Bearer ${token}`,
+                'Content-Type': 'application/json'
+            }
+        });
+        if (response.status === 404) return null;
+        if (!response.ok) throw new Error(`API error: ${response.status}`);
+        return response.json();
+    }
+
+    // The event only says which record to look at; what changes comes from the server's copy of it
+    async applyLiveEvent(event) {
+        // Local edits still waiting to sync are newer than the server's copy
+        if (this.pendingOperations.some(op => op.recordId === event.recordId)) return;
+        let serverRecord;
+        try {
+            serverRecord = await this.fetchRecord(event.recordId);
+        } catch (error) {
+            console.error('Live update error:', error);
+            return;
+        }
+        const change = LiveUpdates.applyServerRecord(this.allTeams, event.recordId, serverRecord, team => this.getTeamId(team));
+        if (!change) return;
+        const { type, record } = change;
+        const user = event.user || 'another scout';
+        const action = { 'team.created': 'added', 'team.updated': 'updated', 'team.deleted': 'deleted' }[type];
+        this.lastLiveEvent = event;
+        this.setElementText('liveUpdateText', `Team ${ScoutingData.getTeamNumber(record)} ${action} by ${user}`);
+        const item = document.getElementById('liveIndicator');
+        if (item) item.title = `Last update ${new Date(event.at || Date.now()).toLocaleTimeString()}`;
+        if (type === 'team.deleted') {
+            this.selectedRecords.delete(event.recordId);
+            if (record === this.selectedTeam) {
+                this.closeTeamModal();
+                showNotification(`The report you were viewing was deleted by ${this.escapeHtml(user)}`, 'warning');
+            }
+        }
+        this.markTeamsChanged();
+        this.populateScoutsFilter();
+        this.applyFilters(false);
+        this.updateStats();
+        this.cacheTeams();
+        // An open edit form keeps the user's input; the details view refreshes once it closes
+        const viewing = document.getElementById('teamDetailsModal')?.classList.contains('show');
+        const editing = document.getElementById('editTeamModal')?.classList.contains('show');
+        if (type === 'team.updated' && record === this.selectedTeam && viewing && !editing) this.showTeamDetails(this.getTeamId(record));
     }
 
     updateStatusIndicators() {
@@ -555,8 +4748,64 @@ if (typeof window !== 'undefined') {
         const manager = new ScoutingManager();
         window.scouting = manager;
         window.refreshScouting = () => manager.refreshScouting();
+        window.openExportModal = () => manager.openExportModal();
+        window.closeExportModal = () => manager.closeExportModal();
+        window.setExportColumns = (checked) => manager.setExportColumns(checked);
         window.exportScouting = () => manager.exportScouting();
+        window.openNewReport = () => manager.openNewReport();
+        window.closeNewReportModal = () => manager.closeNewReportModal();
+        window.submitNewReport = () => manager.submitNewReport();
+        window.openSyncModal = () => manager.openSyncModal();
+        window.closeSyncModal = () => manager.closeSyncModal();
+        window.syncOfflineQueue = () => manager.syncOfflineQueue();
+        window.resolveOfflineConflict = (id, choice) => manager.resolveConflict(id, choice);
+        window.discardOfflineChange = (id) => manager.discardOperation(id);
+        window.openImportModal = () => manager.openImportModal();
+        window.closeImportModal = () => manager.closeImportModal();
+        window.confirmImport = () => manager.confirmImport();
+        window.openComparison = () => manager.openComparison();
+        window.closeComparison = () => manager.closeComparison();
+        window.clearComparison = () => manager.clearComparison();
+        window.saveFormula = () => manager.saveFormula();
+        window.deleteFormula = () => manager.deleteFormula();
+        window.resetFormulaWeights = () => manager.resetWeights();
+        window.openScheduleModal = () => manager.openScheduleModal();
+        window.closeScheduleModal = () => manager.closeScheduleModal();
+        window.loadScheduleFromProvider = () => manager.loadScheduleFromProvider();
+        window.openAssignments = () => manager.openAssignments();
+        window.closeAssignments = () => manager.closeAssignments();
+        window.addRosterScout = () => manager.addRosterScout();
+        window.addScoutsFromReports = () => manager.addScoutsFromReports();
+        window.autoAssignScouts = () => manager.autoAssignScouts();
+        window.openPitReport = () => manager.openPitReport();
+        window.closePitReportModal = () => manager.closePitReportModal();
+        window.submitPitReport = () => manager.submitPitReport();
+        window.closePhotoViewer = () => manager.closePhotoViewer();
+        window.openQrTransfer = () => manager.openQrTransfer();
+        window.closeQrTransfer = () => manager.closeQrTransfer();
+        window.showQrMode = (mode) => manager.showQrMode(mode);
+        window.stepQrCode = (delta) => manager.stepQrCode(delta);
+        window.toggleQrAutoPlay = () => manager.toggleQrAutoPlay();
+        window.shareTeamQr = () => manager.shareTeamQr();
+        window.openDataQuality = () => manager.openDataQuality();
+        window.closeDataQuality = () => manager.closeDataQuality();
+        window.openDuplicates = () => manager.openDuplicates();
+        window.closeDuplicates = () => manager.closeDuplicates();
+        window.showDuplicateList = () => manager.showDuplicateList();
+        window.confirmMerge = () => manager.confirmMerge();
+        window.openScoutAccuracy = () => manager.openScoutAccuracy();
+        window.closeScoutAccuracy = () => manager.closeScoutAccuracy();
+        window.clearOfficialResults = () => manager.clearOfficialResults();
+        window.toggleColumnMenu = (show) => manager.toggleColumnMenu(show);
+        window.resetTableColumns = () => manager.resetTableColumns();
+        window.saveView = () => manager.saveView();
+        window.deleteView = () => manager.deleteView();
+        window.copyViewLink = () => manager.copyViewLink();
         window.bulkDeleteTeams = () => manager.bulkDeleteTeams();
+        window.clearRecordSelection = () => manager.clearRecordSelection();
+        window.openTrashModal = () => manager.openTrashModal();
+        window.closeTrashModal = () => manager.closeTrashModal();
+        window.emptyTrash = () => manager.emptyTrash();
         window.previousPage = () => manager.previousPage();
         window.nextPage = () => manager.nextPage();
         window.changeTeamsPerPage = () => manager.changeTeamsPerPage();
@@ -0,0 +1,75 @@
+/**
+ * Chart Helpers
+ * Shared Chart.js configuration so Analytics and Scouting draw radars the same way
+ */
+
+class ChartHelpers {
+    static get COLORS() {
+        return ['#3498db', '#2ecc71', '#f39c12', '#e74c3c', '#9b59b6', '#1abc9c', '#34495e', '#e67e22'];
+    }
+
+    static hexToRgba(hex, alpha) {
+        const value = parseInt(hex.replace('#', ''), 16);
+        return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${alpha})`;
+    }
+
+    static radarDataset(label, data, color = this.COLORS[0]) {
+        return {
+            label,
+            data,
+            borderColor: color,
+            backgroundColor: this.hexToRgba(color, 0.2),
+            borderWidth: 2,
+            pointBackgroundColor: color,
+            pointBorderColor: '#ffffff',
+            pointBorderWidth: 2,
+            pointRadius: 5
+        };
+    }
+
+    static radarOptions(title) {
+        return {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: {
+                    position: 'bottom',
+                    labels: {
+                        color: '#ffffff',
+                        font: { size: 12 }
+                    }
+                },
+                title: {
+                    display: Boolean(title),
+                    text: title,
+                    font: { size: 16, weight: 'bold' },
+                    color: '#ffffff'
+                }
+            },
+            scales: {
+                r: {
+                    beginAtZero: true,
+                    max: 100,
+                    grid: { color: 'rgba(255, 255, 255, 0.2)' },
+                    pointLabels: { color: '#ffffff', font: { size: 11 } },
+                    ticks: {
+                        display: false,
+                        color: '#ffffff'
+                    }
+                }
+            }
+        };
+    }
+
+    // Average 0-100 score per schema chart field, in chartFields() order
+    static schemaRadarData(schema, records) {
+        return schema.chartFields().map(field => {
+            const scores = records.map(record => schema.getNormalizedScore(record, field)).filter(score => score !== null);
+            return scores.length ? Math.round(scores.reduce((a, b) => a + b, 0) / scores.length) : 0;
+        });
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChartHelpers;
+}
@@ -0,0 +1,130 @@
+/**
+ * Data Quality Checks
+ * Runs a rule set over scouting records and reports impossible or inconsistent entries.
+ * Each rule returns a list of { record, message } findings; check() groups them per record.
+ */
+
+class DataQuality {
+    // A report this many points (on the 0-100 normalised scale) away from the team's other reports is an outlier
+    static get OUTLIER_GAP() {
+        return 50;
+    }
+
+    // Other reports of the same team needed before one can be called an outlier
+    static get OUTLIER_MIN_REPORTS() {
+        return 3;
+    }
+
+    static get RULES() {
+        return [
+            { key: 'missingScout', label: 'Missing scout', run: (records) => this.missingScout(records) },
+            { key: 'badDate', label: 'Missing, future or invalid date', run: (records, schema, now) => this.badDate(records, now) },
+            { key: 'invalidValue', label: 'Value outside the schema', run: (records, schema) => this.invalidValue(records, schema) },
+            { key: 'duplicateMatch', label: 'Duplicate team/match', run: (records) => this.duplicateMatch(records) },
+            { key: 'outlier', label: 'Numeric outlier', run: (records, schema) => this.outlier(records, schema) }
+        ];
+    }
+
+    static missingScout(records) {
+        return records
+            .filter(record => !String(ScoutingData.getScoutName(record)).trim())
+            .map(record => ({ record, message: 'No scout name' }));
+    }
+
+    static badDate(records, now) {
+        const today = now.toISOString().split('T')[0];
+        return records.flatMap(record => {
+            const value = ScoutingData.getDate(record);
+            if (!value) return [{ record, message: 'No date' }];
+            const date = new Date(value);
+            if (isNaN(date)) return [{ record, message: `Unreadable date "${value}"` }];
+            return date.toISOString().split('T')[0] > today ? [{ record, message: `Date ${date.toLocaleDateString()} is in the future` }] : [];
+        });
+    }
+
+    // Ratings must use their scale's labels, selects their options, and numbers must respect the field's
+    // integer, min and max settings, the same checks the report form applies
+    static invalidValue(records, schema) {
+        const checks = schema.fields.filter(field => ['rating', 'select', 'multiselect', 'number'].includes(field.type));
+        return records.flatMap(record => checks.flatMap(field => {
+            const value = schema.getValue(record, field);
+            if (value === undefined || value === null || value === '') return [];
+            if (field.type === 'number') {
+                const number = Number(value);
+                if (isNaN(number) || (field.integer && !Number.isInteger(number))) {
+                    return [{ record, message: `${field.label} "${value}" is not a ${field.integer ? 'whole ' : ''}number` }];
+                }
+                if ((field.min !== undefined && number < field.min) || (field.max !== undefined && number > field.max)) {
+                    return [{ record, message: `${field.label} ${value} is not between ${field.min ?? '-∞'} and ${field.max ?? '∞'}` }];
+                }
+                return [];
+            }
+            const allowed = field.type === 'rating' ? Object.keys(schema.getScale(field)) : (field.options || []).map(String);
+            const values = Array.isArray(value) ? value : [value];
+            const unknown = values.filter(item => !allowed.includes(String(item)));
+            return unknown.length ? [{ record, message: `${field.label} "${unknown.join(', ')}" is not one of ${allowed.join(', ')}` }] : [];
+        }));
+    }
+
+    static duplicateMatch(records) {
+        const groups = new Map();
+        records.forEach(record => {
+            const key = ScoutingData.getMatchKey(record);
+            if (!key) return;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(record);
+        });
+        return [...groups.values()].filter(group => group.length > 1).flatMap(group => group.map(record => ({
+            record,
+            message: `Team ${ScoutingData.getTeamNumber(record)} in ${ScoutingData.formatMatchLabel(record)} has ${group.length} reports (scouts: ${group.map(r => ScoutingData.getScoutName(r) || 'unknown').join(', ')})`
+        })));
+    }
+
+    static median(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+
+    // Compares each scored field with the median of the same team's other reports. Number fields need a max to be
+    // put on the 0-100 scale; the match schema's numbers (match and team number) have none, so there only ratings are checked
+    static outlier(records, schema) {
+        const fields = schema.fields.filter(field => field.type === 'rating' || (field.type === 'number' && field.max));
+        const findings = [];
+        ScoutingData.groupByTeam(records).forEach(matches => {
+            if (matches.length <= this.OUTLIER_MIN_REPORTS) return;
+            fields.forEach(field => {
+                const scores = matches.map(record => schema.getNormalizedScore(record, field));
+                matches.forEach((record, index) => {
+                    if (scores[index] === null) return;
+                    const others = scores.filter((score, i) => i !== index && score !== null);
+                    if (others.length < this.OUTLIER_MIN_REPORTS) return;
+                    const typical = this.median(others);
+                    if (Math.abs(scores[index] - typical) < this.OUTLIER_GAP) return;
+                    const typicalLabel = field.type === 'rating' ? schema.ratingLabel(field, typical / 100 * schema.getScaleMax(field)) : (typical / 100 * field.max).toFixed(1);
+                    findings.push({
+                        record,
+                        message: `${field.label} is ${schema.getValue(record, field)} but this team's other ${others.length} reports are typically ${typicalLabel}`
+                    });
+                });
+            });
+        });
+        return findings;
+    }
+
+    // Returns [{ record, issues: [{ rule, label, message }] }] in the order records were given
+    static check(records, schema, now = new Date()) {
+        const flagged = new Map();
+        this.RULES.forEach(rule => {
+            rule.run(records, schema, now).forEach(({ record, message }) => {
+                if (!flagged.has(record)) flagged.set(record, []);
+                flagged.get(record).push({ rule: rule.key, label: rule.label, message });
+            });
+        });
+        return records.filter(record => flagged.has(record)).map(record => ({ record, issues: flagged.get(record) }));
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DataQuality;
+}
@@ -0,0 +1,105 @@
+/**
+ * Duplicate Finder
+ * Clusters scouting records that are likely the same report submitted more than once and
+ * builds the merged values for a cluster. Records cluster on team number, match and scout;
+ * team names are ignored so spelling variants of the same team end up together.
+ */
+
+class DuplicateFinder {
+    // Bookkeeping keys stay with the record that is kept and are never offered for merging
+    static get SYSTEM_KEYS() {
+        return ['id', '_id', 'history', 'createdAt', 'updatedAt', 'timestamp'];
+    }
+
+    // Reports without a match number fall back to their day; reports with neither are never clustered.
+    // With anyScout set, reports of the same team and match by different scouts cluster too.
+    static clusterKey(record, anyScout = false) {
+        const team = ScoutingData.getTeamNumber(record);
+        if (!team) return null;
+        const date = String(ScoutingData.getDate(record)).split('T')[0];
+        const when = ScoutingData.getMatchKey(record) || (date ? `${team}|${date}` : null);
+        if (!when) return null;
+        return anyScout ? when : `${when}|${ScoutingData.getScoutName(record).trim().toLowerCase()}`;
+    }
+
+    // Returns [{ key, teamNumber, records, teamNames, scouts }] for clusters of two or more, newest report first
+    static find(records, { anyScout = false } = {}) {
+        const clusters = new Map();
+        records.forEach(record => {
+            const key = this.clusterKey(record, anyScout);
+            if (!key) return;
+            if (!clusters.has(key)) clusters.set(key, []);
+            clusters.get(key).push(record);
+        });
+        const time = record => new Date(record.updatedAt || ScoutingData.getDate(record)).getTime() || 0;
+        return [...clusters.entries()]
+            .filter(([, group]) => group.length > 1)
+            .map(([key, group]) => {
+                const sorted = [...group].sort((a, b) => time(b) - time(a));
+                return {
+                    key,
+                    teamNumber: ScoutingData.getTeamNumber(sorted[0]),
+                    records: sorted,
+                    teamNames: [...new Set(sorted.map(record => record.teamName || record.name).filter(Boolean))],
+                    scouts: [...new Set(sorted.map(record => ScoutingData.getScoutName(record) || 'Unknown scout'))]
+                };
+            })
+            .sort((a, b) => Number(a.teamNumber) - Number(b.teamNumber) ||
+                (ScoutingData.getMatchNumber(a.records[0]) ?? Infinity) - (ScoutingData.getMatchNumber(b.records[0]) ?? Infinity));
+    }
+
+    static isEmpty(value) {
+        return value === undefined || value === null || value === '' || (Array.isArray(value) && !value.length);
+    }
+
+    // Schema fields first (read through their legacy keys), then any other keys the records carry.
+    // Returns [{ key, label, values, differs }] with one value per cluster record, skipping keys no record fills in.
+    static fields(cluster, schema) {
+        const schemaKeys = new Set(schema.fields.flatMap(field => [field.key, ...(field.legacyKeys || [])]));
+        const extraKeys = [...new Set(cluster.records.flatMap(record => Object.keys(record)))]
+            .filter(key => !schemaKeys.has(key) && !this.SYSTEM_KEYS.includes(key));
+        const rows = [
+            ...schema.fields.map(field => ({ key: field.key, label: field.label, values: cluster.records.map(record => schema.getValue(record, field)) })),
+            ...extraKeys.map(key => ({ key, label: null, values: cluster.records.map(record => record[key]) }))
+        ];
+        return rows
+            .filter(row => row.values.some(value => !this.isEmpty(value)))
+            .map(row => ({
+                ...row,
+                differs: new Set(row.values.map(value => JSON.stringify(this.isEmpty(value) ? null : value))).size > 1
+            }));
+    }
+
+    // The most complete report is kept by default, the newest one on a tie
+    static defaultKeeper(cluster, fields) {
+        let best = 0;
+        let bestCount = -1;
+        cluster.records.forEach((record, index) => {
+            const count = fields.filter(field => !this.isEmpty(field.values[index])).length;
+            if (count > bestCount) {
+                best = index;
+                bestCount = count;
+            }
+        });
+        return best;
+    }
+
+    // Each differing field takes the newest filled-in value unless the keeper already has one
+    static defaultChoices(fields, keeper) {
+        return Object.fromEntries(fields.filter(field => field.differs).map(field => [
+            field.key,
+            this.isEmpty(field.values[keeper]) ? field.values.findIndex(value => !this.isEmpty(value)) : keeper
+        ]));
+    }
+
+    // choices maps a field key to the index of the record whose value wins; returns the values to save on the keeper
+    static merge(fields, choices, keeper) {
+        return Object.fromEntries(fields
+            .filter(field => field.differs)
+            .map(field => [field.key, field.values[choices[field.key] ?? keeper] ?? '']));
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DuplicateFinder;
+}
@@ -0,0 +1,138 @@
+/**
+ * Formula Engine
+ * Parses and evaluates weighted scoring formulas such as "0.4*autonomousReliability + 0.6*teleopReliability"
+ */
+
+class FormulaEngine {
+    static tokenize(expression) {
+        const tokens = [];
+        const pattern = /\s*(?:(\d+(?:\.\d+)?|\.\d+)|([A-Za-z_][A-Za-z0-9_]*)|([-+*/()]))/y;
+        let index = 0;
+        const input = String(expression);
+        while (index < input.length) {
+            if (/^\s*$/.test(input.slice(index))) break;
+            pattern.lastIndex = index;
+            const match = pattern.exec(input);
+            if (!match) {
+                const at = index + input.slice(index).search(/\S/);
+                throw new Error(`Unexpected "${input[at]}" at position ${at + 1}`);
+            }
+            if (match[1] !== undefined) tokens.push({ type: 'number', value: Number(match[1]) });
+            else if (match[2] !== undefined) tokens.push({ type: 'identifier', value: match[2] });
+            else tokens.push({ type: 'operator', value: match[3] });
+            index = pattern.lastIndex;
+        }
+        return tokens;
+    }
+
+    // expression := term (('+' | '-') term)* ; term := factor (('*' | '/') factor)* ;
+    // factor := number | field | '(' expression ')' | '-' factor
+    static parse(expression) {
+        const tokens = this.tokenize(expression);
+        if (!tokens.length) throw new Error('Formula is empty');
+        let position = 0;
+        let numberId = 0;
+        const peek = () => tokens[position];
+        const isOperator = (...ops) => peek() && peek().type === 'operator' && ops.includes(peek().value);
+
+        const parseFactor = () => {
+            const token = tokens[position++];
+            if (!token) throw new Error('Formula ends unexpectedly');
+            if (token.type === 'number') return { type: 'number', value: token.value, id: numberId++ };
+            if (token.type === 'identifier') return { type: 'field', key: token.value };
+            if (token.value === '-') return { type: 'negate', operand: parseFactor() };
+            if (token.value === '(') {
+                const inner = parseExpression();
+                if (!isOperator(')')) throw new Error('Missing closing parenthesis');
+                position++;
+                return inner;
+            }
+            throw new Error(`Unexpected "${token.value}"`);
+        };
+        const parseTerm = () => {
+            let node = parseFactor();
+            while (isOperator('*', '/')) {
+                const op = tokens[position++].value;
+                node = { type: 'binary', op, left: node, right: parseFactor() };
+            }
+            return node;
+        };
+        const parseExpression = () => {
+            let node = parseTerm();
+            while (isOperator('+', '-')) {
+                const op = tokens[position++].value;
+                node = { type: 'binary', op, left: node, right: parseTerm() };
+            }
+            return node;
+        };
+
+        const ast = parseExpression();
+        if (position < tokens.length) throw new Error(`Unexpected "${tokens[position].value}"`);
+        return ast;
+    }
+
+    static evaluate(node, resolve, overrides = {}) {
+        switch (node.type) {
+            case 'number':
+                return node.id in overrides ? overrides[node.id] : node.value;
+            case 'field':
+                return resolve(node.key);
+            case 'negate':
+                return -this.evaluate(node.operand, resolve, overrides);
+            default: {
+                const left = this.evaluate(node.left, resolve, overrides);
+                const right = this.evaluate(node.right, resolve, overrides);
+                if (node.op === '+') return left + right;
+                if (node.op === '-') return left - right;
+                if (node.op === '*') return left * right;
+                return right === 0 ? 0 : left / right;
+            }
+        }
+    }
+
+    static fields(node, keys = new Set()) {
+        if (node.type === 'field') keys.add(node.key);
+        if (node.operand) this.fields(node.operand, keys);
+        if (node.left) this.fields(node.left, keys);
+        if (node.right) this.fields(node.right, keys);
+        return [...keys];
+    }
+
+    // Numeric literals that can be tuned, labelled by the field they multiply when there is one
+    static weights(node, found = []) {
+        if (node.type === 'binary' && node.op === '*') {
+            const [number, field] = node.left.type === 'number' ? [node.left, node.right] : [node.right, node.left];
+            if (number.type === 'number' && field.type === 'field') {
+                found.push({ id: number.id, value: number.value, field: field.key });
+                return found;
+            }
+        }
+        if (node.type === 'number') found.push({ id: node.id, value: node.value, field: null });
+        if (node.operand) this.weights(node.operand, found);
+        if (node.left) this.weights(node.left, found);
+        if (node.right) this.weights(node.right, found);
+        return found;
+    }
+
+    static stringify(node, overrides = {}, parentPrecedence = 0) {
+        const precedence = { '+': 1, '-': 1, '*': 2, '/': 2 };
+        switch (node.type) {
+            case 'number':
+                return String(node.id in overrides ? overrides[node.id] : node.value);
+            case 'field':
+                return node.key;
+            case 'negate':
+                return `-${this.stringify(node.operand, overrides, 3)}`;
+            default: {
+                const own = precedence[node.op];
+                // Right operands of - and / need brackets at equal precedence to keep their meaning
+                const text = `${this.stringify(node.left, overrides, own)} ${node.op} ${this.stringify(node.right, overrides, own + (node.op === '-' || node.op === '/' ? 0.5 : 0))}`;
+                return own < parentPrecedence ? `(${text})` : text;
+            }
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FormulaEngine;
+}
@@ -0,0 +1,56 @@
+/**
+ * Image Compression Helpers
+ * Downscales camera photos on a canvas and re-encodes them as JPEG data URLs small enough to store with a record
+ */
+
+class ImageCompression {
+    static loadImage(file) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(file);
+            const image = new Image();
+            image.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve(image);
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error(`${file.name || 'File'} is not a readable image`));
+            };
+            image.src = url;
+        });
+    }
+
+    static fitWithin(width, height, maxDimension) {
+        const scale = Math.min(1, maxDimension / Math.max(width, height));
+        return { width: Math.round(width * scale), height: Math.round(height * scale) };
+    }
+
+    // Lowers the JPEG quality step by step until the photo fits in maxBytes
+    static async compress(file, { maxDimension = 1280, quality = 0.75, maxBytes = 250 * 1024 } = {}) {
+        const image = await this.loadImage(file);
+        const { width, height } = this.fitWithin(image.naturalWidth || image.width, image.naturalHeight || image.height, maxDimension);
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        canvas.getContext('2d').drawImage(image, 0, 0, width, height);
+        let dataUrl = canvas.toDataURL('image/jpeg', quality);
+        for (let q = quality - 0.15; this.estimateBytes(dataUrl) > maxBytes && q >= 0.3; q -= 0.15) {
+            dataUrl = canvas.toDataURL('image/jpeg', q);
+        }
+        return dataUrl;
+    }
+
+    // compress only produces base64 image data URLs, so anything else stored as a photo is not shown
+    static isImageDataUrl(value) {
+        return typeof value === 'string' && /^data:image\/[a-z+.-]+;base64,[A-Za-z0-9+/]+=*$/.test(value);
+    }
+
+    static estimateBytes(dataUrl) {
+        const base64 = String(dataUrl).split(',')[1] || '';
+        return Math.floor(base64.length * 3 / 4);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ImageCompression;
+}
@@ -0,0 +1,138 @@
+/**
+ * Live Updates Development Relay
+ * Stand-in for the API's live update channel when running the site locally. The real API announces a write
+ * after committing it; here a local API or a developer does that by posting the event, which goes to every page:
+ *   curl -X POST http://127.0.0.1:3001/events -d '{"type":"team.updated","recordId":"42","user":"Alex"}'
+ * Messages from pages are not relayed. Uses only Node's built-in modules.
+ * Run with: node live-dev-server.js [port]   (defaults to 3001, which the pages' CSP allows)
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = parseInt(process.argv[2] || process.env.PORT || '3001', 10);
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const clients = new Set();
+
+function encodeFrame(text, opcode = 0x1) {
+    const payload = Buffer.from(text);
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+// Returns { frames, rest } where rest is an incomplete frame left for the next chunk
+function decodeFrames(buffer) {
+    const frames = [];
+    let offset = 0;
+    while (buffer.length - offset >= 2) {
+        const opcode = buffer[offset] & 0x0f;
+        const masked = (buffer[offset + 1] & 0x80) !== 0;
+        let length = buffer[offset + 1] & 0x7f;
+        let position = offset + 2;
+        if (length === 126) {
+            if (buffer.length < position + 2) break;
+            length = buffer.readUInt16BE(position);
+            position += 2;
+        } else if (length === 127) {
+            if (buffer.length < position + 8) break;
+            length = Number(buffer.readBigUInt64BE(position));
+            position += 8;
+        }
+        const maskLength = masked ? 4 : 0;
+        if (buffer.length < position + maskLength + length) break;
+        const mask = buffer.subarray(position, position + maskLength);
+        const payload = Buffer.from(buffer.subarray(position + maskLength, position + maskLength + length));
+        if (masked) payload.forEach((byte, i) => { payload[i] = byte ^ mask[i % 4]; });
+        frames.push({ opcode, payload });
+        offset = position + maskLength + length;
+    }
+    return { frames, rest: buffer.subarray(offset) };
+}
+
+function broadcast(text) {
+    clients.forEach(client => {
+        if (!client.destroyed) client.write(encodeFrame(text));
+    });
+}
+
+const server = http.createServer((req, res) => {
+    if (req.method !== 'POST' || req.url !== '/events') {
+        res.writeHead(426, { 'Content-Type': 'text/plain' });
+        res.end('Live updates relay - connect with a WebSocket, or POST an event to /events\n');
+        return;
+    }
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+        let event = null;
+        try {
+            event = JSON.parse(body);
+        } catch (error) {
+            // Answered below
+        }
+        if (!event || !['team.created', 'team.updated', 'team.deleted'].includes(event.type) || event.recordId === undefined) {
+            res.writeHead(400, { 'Content-Type': 'text/plain' });
+            res.end('Expected {"type":"team.created|team.updated|team.deleted","recordId":"...","user":"..."}\n');
+            return;
+        }
+        const message = JSON.stringify({ at: new Date().toISOString(), ...event });
+        console.log(`${event.type} ${event.recordId} by ${event.user || 'unknown'}`);
+        broadcast(message);
+        res.writeHead(202, { 'Content-Type': 'text/plain' });
+        res.end(`Sent to ${clients.size} page${clients.size === 1 ? '' : 's'}\n`);
+    });
+});
+
+server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    if (!key) {
+        socket.destroy();
+        return;
+    }
+    const accept = crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', ''
+    ].join('\r\n'));
+    clients.add(socket);
+    console.log(`Client connected (${clients.size} open)`);
+
+    let pending = Buffer.alloc(0);
+    socket.on('data', (chunk) => {
+        const { frames, rest } = decodeFrames(Buffer.concat([pending, chunk]));
+        pending = rest;
+        frames.forEach(({ opcode, payload }) => {
+            if (opcode === 0x8) {
+                socket.end(encodeFrame('', 0x8));
+            } else if (opcode === 0x9) {
+                socket.write(encodeFrame(payload.toString(), 0xa));
+            }
+            // Text frames are only the pages' auth message, which is accepted as-is locally
+        });
+    });
+    const drop = () => {
+        if (clients.delete(socket)) console.log(`Client disconnected (${clients.size} open)`);
+    };
+    socket.on('close', drop);
+    socket.on('error', drop);
+});
+
+server.listen(PORT, '127.0.0.1', () => {
+    console.log(`Live updates relay listening on ws://127.0.0.1:${PORT}`);
+});
@@ -0,0 +1,126 @@
+/**
+ * Live Updates
+ * Keeps a WebSocket open to the live update channel so pages see other users' changes without waiting for a refresh.
+ * The API sends { type, recordId, user, at } after it has committed a write, where type is team.created, team.updated
+ * or team.deleted. Events are only hints: pages re-fetch the record before changing anything, so a forged or stale
+ * event cannot alter their data. On localhost the channel is the development relay in live-dev-server.js.
+ */
+
+class LiveUpdates {
+    constructor({ apiBase, token = '', user = '', onEvent = () => {}, onStatus = () => {} } = {}) {
+        this.apiBase = apiBase;
+        this.token = token;
+        this.user = user;
+        this.onEvent = onEvent;
+        this.onStatus = onStatus;
+        this.socket = null;
+        this.reconnectTimer = null;
+        this.retries = 0;
+        this.stopped = false;
+        this.MAX_RETRY_DELAY = 30000;
+    }
+
+    static get DEV_URL() {
+        return 'ws://127.0.0.1:3001';
+    }
+
+    static get EVENT_TYPES() {
+        return ['team.created', 'team.updated', 'team.deleted'];
+    }
+
+    static isDevelopment(location) {
+        return location.hostname === 'localhost' || location.hostname === '127.0.0.1' || location.port === '3000';
+    }
+
+    getUrl() {
+        if (typeof window !== 'undefined' && window.location && LiveUpdates.isDevelopment(window.location)) return LiveUpdates.DEV_URL;
+        return `${this.apiBase.replace(/^http/, 'ws')}/api/live`;
+    }
+
+    isSupported() {
+        return typeof WebSocket !== 'undefined';
+    }
+
+    isConnected() {
+        return Boolean(this.socket) && this.socket.readyState === WebSocket.OPEN;
+    }
+
+    connect() {
+        if (!this.isSupported() || this.socket) return;
+        this.stopped = false;
+        try {
+            this.socket = new WebSocket(this.getUrl());
+        } catch (error) {
+            console.error('Live updates connection error:', error);
+            this.socket = null;
+            this.scheduleReconnect();
+            return;
+        }
+        this.onStatus('connecting');
+        this.socket.onopen = () => {
+            this.retries = 0;
+            // Browsers cannot set headers on a WebSocket, so the token goes in the first message instead of the URL
+            this.send({ type: 'auth', token: this.token, user: this.user });
+            this.onStatus('live');
+        };
+        this.socket.onmessage = (message) => this.handleMessage(message.data);
+        this.socket.onclose = () => {
+            this.socket = null;
+            this.onStatus('offline');
+            if (!this.stopped) this.scheduleReconnect();
+        };
+        this.socket.onerror = () => {
+            // onclose follows and handles the reconnect
+        };
+    }
+
+    disconnect() {
+        this.stopped = true;
+        clearTimeout(this.reconnectTimer);
+        if (this.socket) this.socket.close();
+        this.socket = null;
+    }
+
+    // Backs off exponentially so a missing relay does not get hammered; polling still keeps the page current meanwhile
+    scheduleReconnect() {
+        clearTimeout(this.reconnectTimer);
+        const delay = Math.min(this.MAX_RETRY_DELAY, 1000 * 2 ** this.retries++);
+        this.reconnectTimer = setTimeout(() => this.connect(), delay);
+    }
+
+    send(message) {
+        if (!this.isConnected()) return false;
+        this.socket.send(JSON.stringify(message));
+        return true;
+    }
+
+    handleMessage(data) {
+        let event;
+        try {
+            event = JSON.parse(data);
+        } catch (error) {
+            return;
+        }
+        if (!event || !LiveUpdates.EVENT_TYPES.includes(event.type) || event.recordId === undefined || event.recordId === null) return;
+        this.onEvent({ ...event, recordId: String(event.recordId), user: String(event.user || '') });
+    }
+
+    // Brings a list of records in line with the server's copy of one record (null when the server no longer has it).
+    // Returns { type, record } describing what changed, or null when the list already matched.
+    static applyServerRecord(records, recordId, serverRecord, getId) {
+        const index = records.findIndex(record => getId(record) === recordId);
+        if (!serverRecord) {
+            return index === -1 ? null : { type: 'team.deleted', record: records.splice(index, 1)[0] };
+        }
+        if (index === -1) {
+            records.push(serverRecord);
+            return { type: 'team.created', record: serverRecord };
+        }
+        if (JSON.stringify(records[index]) === JSON.stringify({ ...records[index], ...serverRecord })) return null;
+        return { type: 'team.updated', record: Object.assign(records[index], serverRecord) };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LiveUpdates;
+}
@@ -0,0 +1,73 @@
+/**
+ * Match Schedule Helpers
+ * Normalises qualification schedules from JSON/CSV files or a provider endpoint into
+ * { matchNumber, time, red: [teams], blue: [teams] } entries
+ */
+
+class MatchSchedule {
+    static teamNumber(value) {
+        const number = parseInt(String(value ?? '').replace(/^frc/i, ''), 10);
+        return isNaN(number) ? null : number;
+    }
+
+    // Accepts our own format, TBA-style alliances/team_keys and flat red1..blue3 objects
+    static normalizeMatch(raw, index) {
+        const alliance = color => {
+            if (Array.isArray(raw[color])) return raw[color];
+            const nested = raw.alliances && raw.alliances[color];
+            if (nested) return nested.team_keys || nested.teams || [];
+            return [1, 2, 3].map(slot => raw[`${color}${slot}`] ?? raw[`${color} ${slot}`]);
+        };
+        const matchNumber = parseInt(raw.matchNumber ?? raw.match_number ?? raw.match ?? index + 1, 10);
+        const timeValue = raw.time ?? raw.predicted_time ?? raw.scheduledTime ?? null;
+        // Provider timestamps come in seconds
+        const time = timeValue === null || timeValue === '' ? null
+            : typeof timeValue === 'number' && timeValue < 1e12 ? new Date(timeValue * 1000).toISOString()
+                : isNaN(new Date(timeValue)) ? null : new Date(timeValue).toISOString();
+        return {
+            matchNumber,
+            time,
+            red: alliance('red').map(team => this.teamNumber(team)).filter(team => team !== null),
+            blue: alliance('blue').map(team => this.teamNumber(team)).filter(team => team !== null)
+        };
+    }
+
+    static fromList(list) {
+        const matches = (Array.isArray(list) ? list : (list && (list.matches || list.schedule || list.data)) || [])
+            .filter(raw => !raw.comp_level || raw.comp_level === 'qm')
+            .map((raw, index) => this.normalizeMatch(raw, index))
+            .filter(match => !isNaN(match.matchNumber) && (match.red.length || match.blue.length));
+        if (!matches.length) throw new Error('No qualification matches found');
+        return matches.sort((a, b) => a.matchNumber - b.matchNumber);
+    }
+
+    static parse(text, fileName = '') {
+        if (fileName.toLowerCase().endsWith('.csv') || !/^\s*[[{]/.test(text)) {
+            const { rows } = ScoutingImport.toTable(ScoutingImport.parseCSV(text));
+            const normalizedRows = rows.map(row => {
+                const entry = {};
+                Object.entries(row).forEach(([header, value]) => { entry[ScoutingImport.normalize(header)] = value; });
+                return entry;
+            });
+            return this.fromList(normalizedRows.map(row => ({
+                matchNumber: row.matchnumber ?? row.match,
+                time: row.time || null,
+                red: [row.red1, row.red2, row.red3],
+                blue: [row.blue1, row.blue2, row.blue3]
+            })));
+        }
+        return this.fromList(JSON.parse(text));
+    }
+
+    // Callers pass auth headers only for our own API so tokens never reach third-party providers
+    static async fetchFromProvider(urlTemplate, eventKey, headers = {}) {
+        const url = urlTemplate.replace(/\{eventKey\}/g, encodeURIComponent(eventKey));
+        const response = await fetch(url, { headers: { 'Content-Type': 'application/json', ...headers } });
+        if (!response.ok) throw new Error(`Schedule provider returned ${response.status}`);
+        return this.fromList(await response.json());
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MatchSchedule;
+}
@@ -0,0 +1,89 @@
+/**
+ * Offline Queue for TeamSheldon Scouting
+ * Persists scouting writes to IndexedDB while the network is down so they can be replayed later
+ */
+
+class OfflineQueue {
+    constructor(dbName = 'teamsheldon_scouting') {
+        this.DB_NAME = dbName;
+        this.DB_VERSION = 1;
+        this.QUEUE_STORE = 'queue';
+        this.CACHE_STORE = 'cache';
+        this.dbPromise = null;
+    }
+
+    isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+        this.dbPromise = new Promise((resolve, reject) => {
+            if (!this.isSupported()) {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+            const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.QUEUE_STORE)) {
+                    db.createObjectStore(this.QUEUE_STORE, { keyPath: 'id', autoIncrement: true });
+                }
+                if (!db.objectStoreNames.contains(this.CACHE_STORE)) {
+                    db.createObjectStore(this.CACHE_STORE, { keyPath: 'key' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Allow a later retry if opening failed (e.g. private browsing)
+        this.dbPromise.catch(() => { this.dbPromise = null; });
+        return this.dbPromise;
+    }
+
+    async run(storeName, mode, action) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, mode);
+            const request = action(tx.objectStore(storeName));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    enqueue(operation) {
+        const entry = { ...operation, status: 'pending', queuedAt: Date.now() };
+        return this.run(this.QUEUE_STORE, 'readwrite', store => store.add(entry));
+    }
+
+    update(entry) {
+        return this.run(this.QUEUE_STORE, 'readwrite', store => store.put(entry));
+    }
+
+    remove(id) {
+        return this.run(this.QUEUE_STORE, 'readwrite', store => store.delete(id));
+    }
+
+    async getAll() {
+        const entries = await this.run(this.QUEUE_STORE, 'readonly', store => store.getAll());
+        return (entries || []).sort((a, b) => a.id - b.id);
+    }
+
+    async count() {
+        return this.run(this.QUEUE_STORE, 'readonly', store => store.count());
+    }
+
+    saveCache(key, value) {
+        return this.run(this.CACHE_STORE, 'readwrite', store => store.put({ key, value, savedAt: Date.now() }));
+    }
+
+    async loadCache(key) {
+        const entry = await this.run(this.CACHE_STORE, 'readonly', store => store.get(key));
+        return entry ? entry.value : null;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OfflineQueue;
+}
@@ -0,0 +1,102 @@
+/**
+ * QR Transfer Helpers
+ * Packs scouting reports into a sequence of QR code payloads and reassembles them on the scanning device.
+ * Chunk format: SCQR1:<transferId>:<index>/<total>:<encoding>:<data>
+ */
+
+class QRTransfer {
+    static get PREFIX() {
+        return 'SCQR1';
+    }
+
+    static get CHUNK_SIZE() {
+        // Small enough for a laptop webcam to read a code on a tablet screen at arm's length
+        return 700;
+    }
+
+    // Fields that are local bookkeeping or far too large for a QR code
+    static get SKIPPED_FIELDS() {
+        return ['id', '_id', 'history', 'photos'];
+    }
+
+    static compact(report) {
+        return Object.fromEntries(Object.entries(report).filter(([key, value]) =>
+            !this.SKIPPED_FIELDS.includes(key) && value !== null && value !== undefined && value !== '' &&
+            !(Array.isArray(value) && !value.length)));
+    }
+
+    static bytesToBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    static base64ToBytes(base64) {
+        const binary = atob(base64);
+        return Uint8Array.from(binary, ch => ch.charCodeAt(0));
+    }
+
+    static async pipe(bytes, stream) {
+        const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+        return new Uint8Array(await response.arrayBuffer());
+    }
+
+    // Deflated when the browser supports CompressionStream ("z"), plain UTF-8 JSON otherwise ("j")
+    static async encode(reports) {
+        const bytes = new TextEncoder().encode(JSON.stringify(reports.map(report => this.compact(report))));
+        const compressed = typeof CompressionStream !== 'undefined';
+        const data = this.bytesToBase64(compressed ? await this.pipe(bytes, new CompressionStream('deflate-raw')) : bytes);
+        const id = Date.now().toString(36) + Math.random().toString(36).slice(2, 5);
+        const total = Math.max(1, Math.ceil(data.length / this.CHUNK_SIZE));
+        return Array.from({ length: total }, (_, index) =>
+            `${this.PREFIX}:${id}:${index + 1}/${total}:${compressed ? 'z' : 'j'}:${data.slice(index * this.CHUNK_SIZE, (index + 1) * this.CHUNK_SIZE)}`);
+    }
+
+    static parseChunk(text) {
+        const match = /^SCQR1:([a-z0-9]+):(\d+)\/(\d+):([zj]):([A-Za-z0-9+/=]*)$/.exec(String(text).trim());
+        if (!match) return null;
+        const [, id, index, total, encoding, data] = match;
+        if (Number(total) < 1 || Number(index) < 1 || Number(index) > Number(total)) return null;
+        return { id, index: Number(index), total: Number(total), encoding, data };
+    }
+
+    static async decode(encoding, data) {
+        let bytes = this.base64ToBytes(data);
+        if (encoding === 'z') {
+            if (typeof DecompressionStream === 'undefined') throw new Error('This browser cannot unpack compressed QR codes');
+            bytes = await this.pipe(bytes, new DecompressionStream('deflate-raw'));
+        }
+        const reports = JSON.parse(new TextDecoder().decode(bytes));
+        if (!Array.isArray(reports)) throw new Error('QR transfer does not contain scouting reports');
+        return reports;
+    }
+
+    // Adds a scanned chunk to transfers (Map of id -> { total, encoding, parts }) and returns the transfer entry,
+    // or null when the chunk does not fit the transfer its id belongs to
+    static addChunk(transfers, chunk) {
+        if (!transfers.has(chunk.id)) transfers.set(chunk.id, { total: chunk.total, encoding: chunk.encoding, parts: new Map() });
+        const transfer = transfers.get(chunk.id);
+        if (chunk.total !== transfer.total || chunk.encoding !== transfer.encoding) return null;
+        transfer.parts.set(chunk.index, chunk.data);
+        transfer.complete = transfer.parts.size === transfer.total;
+        return transfer;
+    }
+
+    static assemble(transfer) {
+        return Array.from({ length: transfer.total }, (_, index) => transfer.parts.get(index + 1)).join('');
+    }
+
+    static toSvg(text) {
+        if (typeof qrcode === 'undefined') throw new Error('QR code support failed to load');
+        const qr = qrcode(0, 'L');
+        qr.addData(text);
+        qr.make();
+        return qr.createSvgTag({ cellSize: 5, margin: 4, scalable: true });
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QRTransfer;
+}
@@ -0,0 +1,111 @@
+/**
+ * Scout Accuracy
+ * Compares match reports with official per-match results and scores each scout.
+ * Accuracy is the share of compared fields that agree; bias is the mean signed difference
+ * on the 0-100 normalised scale (positive means the scout rates robots higher than the results).
+ */
+
+class ScoutAccuracy {
+    // Scored fields agree when the normalised scores are within this many points (one rating step on a 5-point scale is 20)
+    static get TOLERANCE() {
+        return 10;
+    }
+
+    // Identity fields are used to pair a report with its result, not compared
+    static get IDENTITY_KEYS() {
+        return ['eventKey', 'matchNumber', 'alliance', 'driverStation', 'teamNumber', 'teamName', 'scoutName', 'date'];
+    }
+
+    // Accepts the same CSV headers or JSON keys as the report import ("Team", "Match", field labels or keys)
+    static parse(text, fileName, schema) {
+        let rows;
+        if (fileName.toLowerCase().endsWith('.csv') || !/^\s*[[{]/.test(text)) {
+            rows = ScoutingImport.toTable(ScoutingImport.parseCSV(text)).rows;
+        } else {
+            const data = JSON.parse(text);
+            rows = Array.isArray(data) ? data : (data && (data.results || data.matches || data.data)) || [];
+        }
+        const headers = [...new Set(rows.flatMap(row => Object.keys(row || {})))];
+        const mapping = ScoutingImport.guessMapping(headers, schema);
+        const results = rows
+            .map(row => ScoutingImport.mapRow(row, mapping, schema))
+            .filter(result => ScoutingData.getMatchNumber(result) !== null && ScoutingData.getTeamNumber(result));
+        if (!results.length) throw new Error('No results with a team and match number found');
+        return results;
+    }
+
+    static comparableFields(schema) {
+        return schema.fields.filter(field => !this.IDENTITY_KEYS.includes(field.key) && !['text', 'textarea', 'date'].includes(field.type));
+    }
+
+    // Returns null when either side has no value, otherwise { agreed, difference } (difference only for scored fields)
+    static compareField(report, result, field, schema) {
+        const official = schema.getValue(result, field);
+        const reported = schema.getValue(report, field);
+        if (official === undefined || reported === undefined) return null;
+        const officialScore = schema.getNormalizedScore(result, field);
+        const reportedScore = schema.getNormalizedScore(report, field);
+        if (officialScore !== null && reportedScore !== null) {
+            const difference = reportedScore - officialScore;
+            return { agreed: Math.abs(difference) <= this.TOLERANCE, difference };
+        }
+        const normalize = value => (Array.isArray(value) ? value : [value]).map(item => String(item).toLowerCase()).sort().join('|');
+        return { agreed: normalize(official) === normalize(reported), difference: null };
+    }
+
+    // Results without an event key match reports from any event, as in scout assignments
+    static findResult(results, report) {
+        const match = ScoutingData.getMatchNumber(report);
+        const team = ScoutingData.getTeamNumber(report);
+        return results.find(result => ScoutingData.getMatchNumber(result) === match &&
+            String(ScoutingData.getTeamNumber(result)) === String(team) &&
+            (!result.eventKey || !report.eventKey || result.eventKey === report.eventKey)) || null;
+    }
+
+    // Returns [{ scout, reports, matched, compared, agreed, accuracy, bias, fields: { key: { compared, agreed, bias } } }], most accurate first
+    static score(records, results, schema) {
+        const fields = this.comparableFields(schema);
+        const scouts = new Map();
+        records.forEach(report => {
+            const scout = ScoutingData.getScoutName(report) || 'Unknown Scout';
+            if (!scouts.has(scout)) scouts.set(scout, { scout, reports: 0, matched: 0, compared: 0, agreed: 0, differences: [], fields: {} });
+            const entry = scouts.get(scout);
+            entry.reports++;
+            const result = this.findResult(results, report);
+            if (!result) return;
+            entry.matched++;
+            fields.forEach(field => {
+                const comparison = this.compareField(report, result, field, schema);
+                if (!comparison) return;
+                const stats = entry.fields[field.key] || (entry.fields[field.key] = { compared: 0, agreed: 0, differences: [] });
+                entry.compared++;
+                stats.compared++;
+                if (comparison.agreed) {
+                    entry.agreed++;
+                    stats.agreed++;
+                }
+                if (comparison.difference !== null) {
+                    entry.differences.push(comparison.difference);
+                    stats.differences.push(comparison.difference);
+                }
+            });
+        });
+        const mean = values => values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+        return [...scouts.values()]
+            .map(({ differences, fields: fieldStats, ...entry }) => ({
+                ...entry,
+                accuracy: entry.compared ? (entry.agreed / entry.compared) * 100 : null,
+                bias: mean(differences),
+                fields: Object.fromEntries(Object.entries(fieldStats).map(([key, stats]) => [key, {
+                    compared: stats.compared,
+                    agreed: stats.agreed,
+                    bias: mean(stats.differences)
+                }]))
+            }))
+            .sort((a, b) => (b.accuracy ?? -1) - (a.accuracy ?? -1) || b.compared - a.compared);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScoutAccuracy;
+}
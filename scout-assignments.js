@@ -0,0 +1,92 @@
+/**
+ * Scout Assignments
+ * Turns schedule entries into driver-station slots, rotates a scout roster across them
+ * and matches slots against submitted reports to track coverage
+ */
+
+class ScoutAssignments {
+    static get STATIONS() {
+        return [['Red', 1], ['Red', 2], ['Red', 3], ['Blue', 1], ['Blue', 2], ['Blue', 3]];
+    }
+
+    static slotKey(matchNumber, alliance, station) {
+        return `${matchNumber}|${alliance}${station}`;
+    }
+
+    static slots(match) {
+        return this.STATIONS.map(([alliance, station]) => ({
+            key: this.slotKey(match.matchNumber, alliance, station),
+            matchNumber: match.matchNumber,
+            time: match.time || null,
+            alliance,
+            station,
+            teamNumber: (match[alliance.toLowerCase()] || [])[station - 1] ?? null
+        }));
+    }
+
+    // Scouts work shifts of shiftLength matches and then hand over to the next scouts on the roster.
+    // Matches before fromMatch keep whatever they were assigned so history is not rewritten.
+    static autoAssign(schedule, roster, { fromMatch = 0, shiftLength = 6, existing = {} } = {}) {
+        const assignments = {};
+        Object.entries(existing).forEach(([key, scout]) => {
+            if (parseInt(key, 10) < fromMatch) assignments[key] = scout;
+        });
+        if (!roster.length) return assignments;
+        const length = Math.max(1, shiftLength);
+        const onDuty = Math.min(this.STATIONS.length, roster.length);
+        schedule.filter(match => match.matchNumber >= fromMatch).forEach((match, index) => {
+            const shift = Math.floor(index / length);
+            this.slots(match).slice(0, onDuty).forEach((slot, station) => {
+                if (slot.teamNumber !== null) assignments[slot.key] = roster[(shift * onDuty + station) % roster.length];
+            });
+        });
+        return assignments;
+    }
+
+    // Reports count for a slot when team and match agree; reports without an event key count for any event.
+    // A slot stays open until the match after it starts, so the match being played (or the last one, once
+    // every match has started) can still be reported before it counts as missed.
+    static coverage(schedule, assignments, records, { eventKey = '', nextMatch = null } = {}) {
+        const reports = new Map();
+        records.forEach(record => {
+            if (eventKey && record.eventKey && record.eventKey !== eventKey) return;
+            const match = ScoutingData.getMatchNumber(record);
+            if (match === null) return;
+            const key = `${match}|${ScoutingData.getTeamNumber(record)}`;
+            if (!reports.has(key)) reports.set(key, []);
+            reports.get(key).push(record);
+        });
+        const started = schedule.map(match => match.matchNumber).filter(number => nextMatch === null || number < nextMatch);
+        const openFrom = started.length ? Math.max(...started) : nextMatch;
+        return schedule.flatMap(match => this.slots(match)).filter(slot => slot.teamNumber !== null).map(slot => {
+            const slotReports = reports.get(`${slot.matchNumber}|${slot.teamNumber}`) || [];
+            const upcoming = openFrom !== null && slot.matchNumber >= openFrom;
+            return {
+                ...slot,
+                scout: assignments[slot.key] || '',
+                reports: slotReports,
+                status: slotReports.length ? 'reported' : upcoming ? 'open' : 'missed'
+            };
+        });
+    }
+
+    static summarize(coverage) {
+        const count = status => coverage.filter(slot => slot.status === status).length;
+        return {
+            total: coverage.length,
+            reported: count('reported'),
+            open: count('open'),
+            missed: count('missed'),
+            unassigned: coverage.filter(slot => slot.status === 'open' && !slot.scout).length
+        };
+    }
+
+    static forScout(coverage, scout) {
+        const name = String(scout || '').toLowerCase();
+        return name ? coverage.filter(slot => slot.scout.toLowerCase() === name) : [];
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScoutAssignments;
+}
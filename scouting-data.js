@@ -0,0 +1,110 @@
+/**
+ * Scouting Data Helpers
+ * Shared accessors for match-level scouting records and team-level aggregation
+ */
+
+class ScoutingData {
+    static escapeHtml(value) {
+        return String(value ?? '').replace(/[&<>"']/g, ch => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        }[ch]));
+    }
+
+    static getTeamNumber(record) {
+        return record.teamNumber || record.number || 0;
+    }
+
+    static getScoutName(record) {
+        return record.scoutName || record.scout || record.scoutedBy || record.createdBy || '';
+    }
+
+    static getDate(record) {
+        return record.date || record.createdAt || record.timestamp || '';
+    }
+
+    static getMatchNumber(record) {
+        const value = parseInt(record.matchNumber ?? record.match, 10);
+        return isNaN(value) ? null : value;
+    }
+
+    static getMatchKey(record) {
+        const match = this.getMatchNumber(record);
+        if (match === null) return null;
+        return `${record.eventKey || ''}|${match}|${this.getTeamNumber(record)}`;
+    }
+
+    // Tags keep the casing they were entered with; pages escape them when rendering
+    static normalizeTag(tag) {
+        return String(tag ?? '').trim().replace(/\s+/g, ' ');
+    }
+
+    // Tags compare case-insensitively, so "Defense bot" and "defense bot" are the same tag
+    static tagKey(tag) {
+        return this.normalizeTag(tag).toLowerCase();
+    }
+
+    // Duplicates differing only in case keep the first spelling
+    static getTags(record) {
+        const tags = Array.isArray(record.tags) ? record.tags : typeof record.tags === 'string' ? record.tags.split(',') : [];
+        const byKey = new Map();
+        tags.map(tag => this.normalizeTag(tag)).filter(Boolean).forEach(tag => {
+            if (!byKey.has(this.tagKey(tag))) byKey.set(this.tagKey(tag), tag);
+        });
+        return [...byKey.values()];
+    }
+
+    static formatMatchLabel(record) {
+        const match = this.getMatchNumber(record);
+        if (match === null) return '';
+        const parts = [`Q${match}`];
+        if (record.alliance) {
+            parts.push(`${record.alliance}${record.driverStation ? ` ${record.driverStation}` : ''}`);
+        }
+        if (record.eventKey) parts.push(record.eventKey);
+        return parts.join(' · ');
+    }
+
+    static groupByTeam(records) {
+        const groups = new Map();
+        records.forEach(record => {
+            const teamNumber = String(this.getTeamNumber(record));
+            if (!groups.has(teamNumber)) groups.set(teamNumber, []);
+            groups.get(teamNumber).push(record);
+        });
+        return groups;
+    }
+
+    // Every rating field of the SeasonSchema is averaged on that field's own scale
+    static buildTeamProfile(teamNumber, matches, schema) {
+        const byDate = [...matches].sort((a, b) => String(this.getDate(b)).localeCompare(String(this.getDate(a))));
+        const named = byDate.find(m => m.teamName || m.name);
+        const averages = {};
+        const labels = {};
+        schema.ratingFields().forEach(field => {
+            averages[field.key] = schema.averageScore(matches, field);
+            labels[field.key] = schema.ratingLabel(field, averages[field.key]);
+        });
+        return {
+            ...labels,
+            id: `team-${teamNumber}`,
+            isProfile: true,
+            teamNumber: Number(teamNumber) || teamNumber,
+            teamName: named ? (named.teamName || named.name) : '',
+            scoutName: [...new Set(matches.map(m => this.getScoutName(m)).filter(Boolean))].join(', '),
+            date: byDate.length ? this.getDate(byDate[0]) : '',
+            averages,
+            averageReliability: averages.reliability ?? null,
+            tags: this.getTags({ tags: matches.flatMap(m => this.getTags(m)) }).sort((a, b) => a.localeCompare(b)),
+            matchCount: matches.length,
+            matches: [...matches].sort((a, b) => (this.getMatchNumber(a) ?? Infinity) - (this.getMatchNumber(b) ?? Infinity))
+        };
+    }
+
+    static buildTeamProfiles(records, schema) {
+        return [...this.groupByTeam(records)].map(([teamNumber, matches]) => this.buildTeamProfile(teamNumber, matches, schema));
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScoutingData;
+}
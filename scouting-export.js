@@ -0,0 +1,111 @@
+/**
+ * Scouting Export Helpers
+ * Builds CSV, XLSX and printable pick sheets from scouting records and a chosen set of schema columns
+ */
+
+class ScoutingExport {
+    // Text a spreadsheet would run as a formula gets a leading apostrophe; plain numbers such as -3 are left alone
+    static escapeCSV(value) {
+        let text = value === null || value === undefined ? '' : String(value);
+        if (/^[=+\-@\t\r]/.test(text) && !/^[+-]?\d+(\.\d+)?$/.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    static toRows(records, columns, schema) {
+        return records.map(record => columns.map(field => schema.formatValue(record, field)));
+    }
+
+    static toCSV(records, columns, schema) {
+        const lines = [columns.map(field => field.label), ...this.toRows(records, columns, schema)];
+        return lines.map(cells => cells.map(cell => this.escapeCSV(cell)).join(',')).join('\r\n');
+    }
+
+    // Excel limits sheet names to 31 characters and forbids : \ / ? * [ ]
+    static sheetName(teamNumber, teamName, used) {
+        const base = `${teamNumber}${teamName ? ` ${teamName}` : ''}`.replace(/[:\\/?*[\]]/g, '').slice(0, 31) || 'Sheet';
+        let name = base;
+        for (let n = 2; used.has(name); n++) name = `${base.slice(0, 31 - String(n).length - 1)} ${n}`;
+        used.add(name);
+        return name;
+    }
+
+    static toWorkbook(records, columns, schema) {
+        if (typeof XLSX === 'undefined') throw new Error('Spreadsheet support failed to load');
+        const workbook = XLSX.utils.book_new();
+        const used = new Set();
+        ScoutingData.groupByTeam(records).forEach((matches, teamNumber) => {
+            const named = matches.find(m => m.teamName || m.name);
+            const sheet = XLSX.utils.aoa_to_sheet([columns.map(field => field.label), ...this.toRows(matches, columns, schema)]);
+            XLSX.utils.book_append_sheet(workbook, sheet, this.sheetName(teamNumber, named ? (named.teamName || named.name) : '', used));
+        });
+        return workbook;
+    }
+
+    // One page per team: averaged ratings, most common selections, then the chosen columns per match
+    static buildPickSheets(records, columns, schema, title) {
+        const profiles = ScoutingData.buildTeamProfiles(records, schema);
+        const pages = profiles.map(profile => {
+            const ratings = schema.ratingFields().map(field => {
+                const score = profile.averages[field.key];
+                const value = score === null || score === undefined
+                    ? 'N/A'
+                    : `${schema.ratingLabel(field, score)} (${score.toFixed(2)}/${schema.getScaleMax(field)})`;
+                return `<div><span>${ScoutingData.escapeHtml(field.label)}</span><strong>${value}</strong></div>`;
+            }).join('');
+            const selections = schema.multiselectFields().map(field => {
+                const counts = {};
+                profile.matches.forEach(m => (schema.getValue(m, field) || []).forEach(v => { counts[v] = (counts[v] || 0) + 1; }));
+                const top = Object.entries(counts).sort((a, b) => b[1] - a[1]).map(([v, c]) => `${v} (${c})`).join(', ');
+                return `<div><span>${ScoutingData.escapeHtml(field.label)}</span><strong>${ScoutingData.escapeHtml(top || 'N/A')}</strong></div>`;
+            }).join('');
+            return `
+                <section class="sheet">
+                    <h1>Team ${ScoutingData.escapeHtml(profile.teamNumber)}${profile.teamName ? ` - ${ScoutingData.escapeHtml(profile.teamName)}` : ''}</h1>
+                    <p class="meta">${profile.matchCount} match${profile.matchCount === 1 ? '' : 'es'} scouted · Scouts: ${ScoutingData.escapeHtml(profile.scoutName || 'N/A')}</p>
+                    <div class="summary">${ratings}${selections}</div>
+                    <table>
+                        <thead><tr>${columns.map(field => `<th>${ScoutingData.escapeHtml(field.label)}</th>`).join('')}</tr></thead>
+                        <tbody>
+                            ${this.toRows(profile.matches, columns, schema).map(cells => `<tr>${cells.map(cell => `<td>${ScoutingData.escapeHtml(cell)}</td>`).join('')}</tr>`).join('')}
+                        </tbody>
+                    </table>
+                    <div class="notes-box">Drive team notes</div>
+                </section>`;
+        }).join('');
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${ScoutingData.escapeHtml(title)}</title>
+<style>
+    body { font-family: Arial, sans-serif; color: #111; margin: 0; }
+    .sheet { padding: 24px; page-break-after: always; }
+    .sheet:last-child { page-break-after: auto; }
+    h1 { font-size: 22px; margin: 0 0 4px; }
+    .meta { color: #555; margin: 0 0 12px; }
+    .summary { display: grid; grid-template-columns: repeat(2, 1fr); gap: 4px 24px; margin-bottom: 16px; }
+    .summary div { display: flex; justify-content: space-between; border-bottom: 1px dotted #bbb; padding: 2px 0; }
+    table { width: 100%; border-collapse: collapse; font-size: 11px; }
+    th, td { border: 1px solid #999; padding: 4px; text-align: left; vertical-align: top; }
+    th { background: #eee; }
+    .notes-box { border: 1px solid #999; height: 120px; margin-top: 16px; padding: 4px; color: #777; font-size: 11px; }
+</style>
+</head>
+<body>${pages}</body>
+</html>`;
+    }
+
+    static download(content, filename, type) {
+        const blob = content instanceof Blob ? content : new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScoutingExport;
+}
@@ -0,0 +1,22 @@
+/**
+ * Scouting Filter Worker
+ * Runs ScoutingFilter off the main thread. The page posts the dataset once per change ("dataset")
+ * and then one "filter" message per search; replies carry the request id so stale results can be dropped.
+ */
+
+importScripts('scouting-data.js', 'season-schema.js', 'scouting-query.js', 'scouting-filter.js');
+
+let records = [];
+let profiles = [];
+let schema = new SeasonSchema();
+
+self.onmessage = (e) => {
+    const message = e.data;
+    if (message.type === 'dataset') {
+        schema = new SeasonSchema(message.schema);
+        records = message.records;
+        profiles = ScoutingData.buildTeamProfiles(records, schema);
+    } else if (message.type === 'filter') {
+        self.postMessage({ id: message.id, ...ScoutingFilter.run(records, profiles, schema, message.criteria) });
+    }
+};
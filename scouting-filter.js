@@ -0,0 +1,115 @@
+/**
+ * Scouting Filter
+ * Filters and sorts match records or team profiles for the Scouting page.
+ * Shared by the filter worker and the main-thread fallback, so it only returns indexes and never touches the DOM.
+ */
+
+class ScoutingFilter {
+    // Schema fields sort by their score when they have one (ratings, numbers), other keys by their text
+    static sortValue(record, field, scoreOf, schema = null) {
+        switch (field) {
+            case 'teamNumber':
+                return ScoutingData.getTeamNumber(record);
+            case 'teamName':
+                return record.teamName || record.name || '';
+            case 'scoutName':
+                return ScoutingData.getScoutName(record);
+            case 'date':
+                return ScoutingData.getDate(record);
+            case 'reliability':
+                return record.reliability || '';
+            case 'eventKey':
+                return record.eventKey || '';
+            case 'matchNumber':
+                return ScoutingData.getMatchNumber(record) ?? Infinity;
+            case 'matchCount':
+                return record.matchCount || 1;
+            case 'score':
+                return scoreOf(record) ?? -Infinity;
+            default: {
+                const schemaField = schema && schema.getField(field);
+                if (record.isProfile) {
+                    if (record.averages && field in record.averages) return record.averages[field] ?? -Infinity;
+                    return String(record[field] ?? '');
+                }
+                if (schemaField) {
+                    const score = schema.getScore(record, schemaField);
+                    if (score !== null) return score;
+                    const value = schema.getValue(record, schemaField);
+                    return Array.isArray(value) ? value.join(', ') : String(value ?? '');
+                }
+                const value = record[field];
+                return typeof value === 'number' ? value : String(value ?? '');
+            }
+        }
+    }
+
+    static hasTags(tags, required) {
+        const keys = new Set(tags.map(tag => ScoutingData.tagKey(tag)));
+        return required.every(tag => keys.has(ScoutingData.tagKey(tag)));
+    }
+
+    static matchesRecord(record, { query, scout, date, tags = [] }) {
+        const dateValue = ScoutingData.getDate(record);
+        if (tags.length && !this.hasTags(ScoutingData.getTags(record), tags)) return false;
+        if (query && !query(record)) return false;
+        if (scout && ScoutingData.getScoutName(record).toLowerCase() !== scout) return false;
+        if (date && (!dateValue || !String(dateValue).startsWith(date))) return false;
+        return true;
+    }
+
+    // criteria: { text, scout, date, fields: { key: value }, tags: [tag], viewLevel, sort: [{ field, direction }], scores: { teamNumber: score } }
+    // Returns indexes into records (match view) or profiles (team view) in display order, plus any search query error
+    static run(records, profiles, schema, criteria) {
+        const scores = criteria.scores || {};
+        const scoreOf = record => scores[String(ScoutingData.getTeamNumber(record))] ?? null;
+        let query = null;
+        let error = '';
+        try {
+            query = ScoutingQuery.compile(criteria.text || '', schema, { scoreOf });
+        } catch (compileError) {
+            // A malformed query leaves the other filters working
+            error = compileError.message;
+        }
+        const recordCriteria = { query, scout: (criteria.scout || '').toLowerCase(), date: criteria.date || '' };
+        const tags = (criteria.tags || []).map(tag => ScoutingData.tagKey(tag));
+        const matchCriteria = { ...recordCriteria, tags };
+        const fieldFilters = Object.entries(criteria.fields || {})
+            .map(([key, value]) => [schema.getField(key), value])
+            .filter(([field]) => field);
+
+        const teamLevel = criteria.viewLevel === 'team';
+        const source = teamLevel ? profiles : records;
+        const indexes = [];
+        source.forEach((item, index) => {
+            const passes = teamLevel
+                // A team is shown when its averaged field values match, its matches carry every tag between them
+                // and any of its matches passes the other filters
+                ? fieldFilters.every(([field, value]) => String(item[field.key] ?? '') === value) &&
+                    this.hasTags(item.tags || [], tags) &&
+                    item.matches.some(match => this.matchesRecord(match, recordCriteria))
+                : fieldFilters.every(([field, value]) => String(schema.getValue(item, field) ?? '') === value) &&
+                    this.matchesRecord(item, matchCriteria);
+            if (passes) indexes.push(index);
+        });
+
+        const sort = criteria.sort && criteria.sort.length ? criteria.sort : [{ field: 'teamNumber', direction: 'asc' }];
+        const dirs = sort.map(key => key.direction === 'desc' ? -1 : 1);
+        // Sort keys are read once per item rather than once per comparison; later keys break ties in earlier ones
+        const keys = new Map(indexes.map(index => [index, sort.map(key => this.sortValue(source[index], key.field, scoreOf, schema))]));
+        indexes.sort((a, b) => {
+            const va = keys.get(a);
+            const vb = keys.get(b);
+            for (let i = 0; i < sort.length; i++) {
+                if (va[i] < vb[i]) return -1 * dirs[i];
+                if (va[i] > vb[i]) return 1 * dirs[i];
+            }
+            return 0;
+        });
+        return { indexes, error };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScoutingFilter;
+}
@@ -0,0 +1,136 @@
+/**
+ * Scouting Import Helpers
+ * Reads CSV/XLSX sheets and maps their columns onto season schema fields
+ */
+
+class ScoutingImport {
+    // RFC 4180 style: quoted fields may contain commas, newlines and doubled quotes
+    static parseCSV(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+        const input = String(text).replace(/^\uFEFF/, '');
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+            if (quoted) {
+                if (char === '"' && input[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && input[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        if (field !== '' || row.length) {
+            row.push(field);
+            rows.push(row);
+        }
+        return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+    }
+
+    static toTable(rows) {
+        const [headerRow = [], ...body] = rows;
+        const headers = headerRow.map((header, index) => String(header).trim() || `Column ${index + 1}`);
+        return {
+            headers,
+            rows: body.map(cells => {
+                const row = {};
+                headers.forEach((header, index) => { row[header] = cells[index] === undefined ? '' : String(cells[index]).trim(); });
+                return row;
+            })
+        };
+    }
+
+    static async readFile(file) {
+        const name = file.name.toLowerCase();
+        if (name.endsWith('.xlsx') || name.endsWith('.xls')) {
+            if (typeof XLSX === 'undefined') throw new Error('Spreadsheet support failed to load');
+            const workbook = XLSX.read(await file.arrayBuffer(), { type: 'array' });
+            const sheet = workbook.Sheets[workbook.SheetNames[0]];
+            return this.toTable(XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, defval: '' }));
+        }
+        return this.toTable(this.parseCSV(await file.text()));
+    }
+
+    static normalize(text) {
+        return String(text).toLowerCase().replace(/[^a-z0-9]/g, '');
+    }
+
+    // Common paper-sheet headers that don't match a field key or label
+    static get HEADER_ALIASES() {
+        return { team: 'teamNumber', teamno: 'teamNumber', match: 'matchNumber', matchno: 'matchNumber', scout: 'scoutName', station: 'driverStation' };
+    }
+
+    // Matches headers against field keys, labels, aliases and legacy keys ("Team Number" → teamNumber)
+    static guessMapping(headers, schema) {
+        const mapping = {};
+        headers.forEach(header => {
+            const normalized = this.normalize(header);
+            const field = schema.fields.find(f =>
+                [f.key, f.label, f.alias, ...(f.legacyKeys || [])].filter(Boolean).some(name => this.normalize(name) === normalized)) ||
+                schema.getField(this.HEADER_ALIASES[normalized] || '');
+            mapping[header] = field && !Object.values(mapping).includes(field.key) ? field.key : '';
+        });
+        return mapping;
+    }
+
+    static coerceValue(value, field, schema) {
+        if (value === undefined || value === null || String(value).trim() === '') {
+            return field.type === 'multiselect' ? [] : null;
+        }
+        const text = String(value).trim();
+        const matchOption = (options) => options.find(option => option.toLowerCase() === text.toLowerCase()) || text;
+        switch (field.type) {
+            case 'number': {
+                const number = Number(text);
+                return isNaN(number) ? text : number;
+            }
+            case 'rating':
+                return matchOption(Object.keys(schema.getScale(field)));
+            case 'select': {
+                const option = matchOption((field.options || []).map(String));
+                return field.numeric && !isNaN(Number(option)) ? Number(option) : option;
+            }
+            case 'multiselect':
+                return text.split(/[;,|]/).map(item => item.trim()).filter(Boolean)
+                    .map(item => (field.options || []).find(option => option.toLowerCase() === item.toLowerCase()) || item);
+            case 'date': {
+                const date = new Date(text);
+                return isNaN(date) ? text : date.toISOString().split('T')[0];
+            }
+            default:
+                return text;
+        }
+    }
+
+    static mapRow(row, mapping, schema) {
+        const record = {};
+        Object.entries(mapping).forEach(([header, key]) => {
+            const field = key && schema.getField(key);
+            if (!field) return;
+            const value = this.coerceValue(row[header], field, schema);
+            if (value !== null && !(Array.isArray(value) && !value.length)) record[field.key] = value;
+        });
+        return record;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScoutingImport;
+}
@@ -0,0 +1,277 @@
+/**
+ * Scouting Query Language
+ * Parses search box queries such as `reliability:High scout:alex date>=2026-03-01 NOT role:defense`
+ * into record predicates. Bare words keep the old substring search across number, name, scout, reliability, date and match.
+ */
+
+class ScoutingQuery {
+    // Fields every record has regardless of the season schema
+    static get BUILTIN_FIELDS() {
+        return [
+            { key: 'team', label: 'Team Number', type: 'number', get: record => ScoutingData.getTeamNumber(record) },
+            { key: 'name', label: 'Team Name', type: 'text', get: record => record.teamName || record.name || '' },
+            { key: 'scout', label: 'Scout', type: 'text', get: record => ScoutingData.getScoutName(record) },
+            { key: 'date', label: 'Date', type: 'date', get: record => ScoutingData.getDate(record) },
+            { key: 'match', label: 'Match Number', type: 'number', get: record => ScoutingData.getMatchNumber(record) },
+            { key: 'event', label: 'Event Key', type: 'text', get: record => record.eventKey || '' },
+            { key: 'score', label: 'Formula Score', type: 'number', get: (record, options) => options.scoreOf ? options.scoreOf(record) : null }
+        ];
+    }
+
+    static tokenize(text) {
+        const input = String(text);
+        const tokens = [];
+        let index = 0;
+        const readValue = () => {
+            if (input[index] === '"') {
+                const end = input.indexOf('"', index + 1);
+                if (end === -1) throw new Error(`Missing closing quote for the text at position ${index + 1}`);
+                const value = input.slice(index + 1, end);
+                index = end + 1;
+                return value;
+            }
+            const start = index;
+            while (index < input.length && !/[\s()]/.test(input[index])) index++;
+            return input.slice(start, index);
+        };
+        while (index < input.length) {
+            const ch = input[index];
+            const start = index;
+            if (/\s/.test(ch)) {
+                index++;
+            } else if (ch === '(' || ch === ')') {
+                tokens.push({ type: ch, start });
+                index++;
+            } else if (ch === '-' && index + 1 < input.length && !/[\s()]/.test(input[index + 1])) {
+                tokens.push({ type: 'not', start });
+                index++;
+            } else if (ch === '"') {
+                tokens.push({ type: 'text', value: readValue(), start });
+            } else {
+                const term = /^([A-Za-z_]\w*)(>=|<=|!=|:|=|>|<)/.exec(input.slice(index));
+                if (term) {
+                    index += term[0].length;
+                    tokens.push({ type: 'term', field: term[1], op: term[2], value: readValue(), start });
+                } else {
+                    const word = readValue();
+                    const keyword = { AND: 'and', '&&': 'and', OR: 'or', '||': 'or', NOT: 'not' }[word.toUpperCase()];
+                    tokens.push(keyword ? { type: keyword, start } : { type: 'text', value: word, start });
+                }
+            }
+        }
+        return tokens;
+    }
+
+    // query := and ('OR' and)* ; and := unary (['AND'] unary)* ; unary := ('NOT' | '-') unary | '(' query ')' | term | text
+    static parse(text) {
+        const tokens = this.tokenize(text);
+        if (!tokens.length) return null;
+        let position = 0;
+        const peek = () => tokens[position];
+        const label = token => ({ and: 'AND', or: 'OR', not: 'NOT' }[token.type] || token.type);
+
+        const parseUnary = () => {
+            const token = tokens[position++];
+            if (!token) throw new Error('Query ends unexpectedly - add a condition after AND, OR or NOT');
+            if (token.type === 'not') return { type: 'not', operand: parseUnary() };
+            if (token.type === '(') {
+                const inner = parseOr();
+                if (!peek() || peek().type !== ')') throw new Error(`Missing closing parenthesis for the one at position ${token.start + 1}`);
+                position++;
+                return inner;
+            }
+            if (token.type === 'term') {
+                if (token.value === '') throw new Error(`Missing value after "${token.field}${token.op}" at position ${token.start + 1}`);
+                return { type: 'term', field: token.field, op: token.op, value: token.value, start: token.start };
+            }
+            if (token.type === 'text') return { type: 'text', value: token.value };
+            throw new Error(`Unexpected "${label(token)}" at position ${token.start + 1}`);
+        };
+        const parseAnd = () => {
+            let node = parseUnary();
+            while (peek() && peek().type !== 'or' && peek().type !== ')') {
+                if (peek().type === 'and') position++;
+                node = { type: 'and', left: node, right: parseUnary() };
+            }
+            return node;
+        };
+        const parseOr = () => {
+            let node = parseAnd();
+            while (peek() && peek().type === 'or') {
+                position++;
+                node = { type: 'or', left: node, right: parseAnd() };
+            }
+            return node;
+        };
+
+        const ast = parseOr();
+        if (position < tokens.length) throw new Error(`Unexpected "${label(peek())}" at position ${peek().start + 1}`);
+        return ast;
+    }
+
+    // Query names for every field: built-ins, then schema keys and their aliases
+    static fields(schema) {
+        const schemaFields = schema.fields.map(field => ({
+            key: field.key,
+            names: [field.key, field.alias].filter(Boolean),
+            label: field.label,
+            type: field.type === 'select' && field.numeric ? 'number' : field.type,
+            schemaField: field,
+            get: record => schema.getValue(record, field)
+        }));
+        return [...this.BUILTIN_FIELDS.map(field => ({ ...field, names: [field.key] })), ...schemaFields];
+    }
+
+    static resolveField(name, schema) {
+        const lower = name.toLowerCase();
+        return this.fields(schema).find(field => field.names.some(n => n.toLowerCase() === lower)) || null;
+    }
+
+    static optionsFor(field, schema) {
+        if (!field.schemaField) return [];
+        if (field.type === 'rating') return Object.keys(schema.getScale(field.schemaField));
+        return (field.schemaField.options || []).map(String);
+    }
+
+    static compareValues(a, op, b) {
+        switch (op) {
+            case '>': return a > b;
+            case '>=': return a >= b;
+            case '<': return a < b;
+            case '<=': return a <= b;
+            case '!=': return a !== b;
+            default: return a === b;
+        }
+    }
+
+    static searchText(record) {
+        return [
+            ScoutingData.getTeamNumber(record),
+            record.teamName || record.name,
+            ScoutingData.getScoutName(record),
+            record.reliability,
+            ScoutingData.getDate(record),
+            ScoutingData.formatMatchLabel(record)
+        ].map(value => String(value || '').toLowerCase());
+    }
+
+    static compileTerm(node, schema, options) {
+        const field = this.resolveField(node.field, schema);
+        if (!field) {
+            const close = this.fields(schema).flatMap(f => f.names).filter(n => n.toLowerCase().startsWith(node.field.slice(0, 2).toLowerCase()));
+            throw new Error(`Unknown field "${node.field}" at position ${node.start + 1}${close.length ? ` - did you mean ${close.slice(0, 3).join(', ')}?` : ''}`);
+        }
+        const { op } = node;
+        const value = node.value.toLowerCase();
+        const ordered = ['>', '>=', '<', '<='].includes(op);
+        const get = record => field.get(record, options);
+        const missing = v => v === undefined || v === null || v === '';
+
+        if (field.type === 'rating') {
+            const scale = schema.getScale(field.schemaField);
+            const scaleLabel = Object.keys(scale).find(l => l.toLowerCase() === value);
+            const target = scaleLabel !== undefined ? scale[scaleLabel] : Number(node.value);
+            if (isNaN(target)) throw new Error(`"${node.value}" is not a valid ${field.label} - use ${Object.keys(scale).join(', ')} or a number`);
+            return record => {
+                const score = schema.getScore(record, field.schemaField);
+                return score === null ? op === '!=' : this.compareValues(score, op === ':' ? '=' : op, target);
+            };
+        }
+        if (field.type === 'number') {
+            const target = Number(node.value);
+            if (isNaN(target)) throw new Error(`${field.label} needs a number, not "${node.value}"`);
+            return record => {
+                const actual = get(record);
+                return missing(actual) || isNaN(Number(actual)) ? op === '!=' : this.compareValues(Number(actual), op === ':' ? '=' : op, target);
+            };
+        }
+        if (field.type === 'date') {
+            if (!/^\d{4}(-\d{2}){0,2}$/.test(node.value)) throw new Error(`${field.label} needs a date like 2026-03-01, not "${node.value}"`);
+            // Comparing the same-length prefix lets date>=2026-03 match any day in March or later
+            return record => {
+                const actual = String(get(record) || '').slice(0, node.value.length);
+                if (!actual) return op === '!=';
+                return this.compareValues(actual, op === ':' ? '=' : op, node.value);
+            };
+        }
+        if (ordered) throw new Error(`${field.label} is text, so only :, = and != work with it`);
+        if (field.type === 'multiselect') {
+            return record => {
+                const actual = get(record);
+                const values = (Array.isArray(actual) ? actual : missing(actual) ? [] : [actual]).map(v => String(v).toLowerCase());
+                if (op === '!=') return !values.includes(value);
+                return op === ':' ? values.some(v => v.includes(value)) : values.includes(value);
+            };
+        }
+        return record => {
+            const actual = String(get(record) ?? '').toLowerCase();
+            if (op === '!=') return actual !== value;
+            return op === ':' ? actual.includes(value) : actual === value;
+        };
+    }
+
+    // Returns a predicate for records; unknown fields and bad values fail here with a readable message
+    static compile(text, schema, options = {}) {
+        const ast = this.parse(text);
+        if (!ast) return () => true;
+        const build = node => {
+            switch (node.type) {
+                case 'and': {
+                    const left = build(node.left);
+                    const right = build(node.right);
+                    return record => left(record) && right(record);
+                }
+                case 'or': {
+                    const left = build(node.left);
+                    const right = build(node.right);
+                    return record => left(record) || right(record);
+                }
+                case 'not': {
+                    const operand = build(node.operand);
+                    return record => !operand(record);
+                }
+                case 'text': {
+                    const needle = node.value.toLowerCase();
+                    return record => this.searchText(record).some(value => value.includes(needle));
+                }
+                default:
+                    return this.compileTerm(node, schema, options);
+            }
+        };
+        return build(ast);
+    }
+
+    // Completions for the word under the caret: field names, or the field's options after "field:"
+    static suggest(text, caret, schema) {
+        const before = String(text).slice(0, caret);
+        const tokenStart = Math.max(before.lastIndexOf(' '), before.lastIndexOf('(')) + 1;
+        const start = before[tokenStart] === '-' ? tokenStart + 1 : tokenStart;
+        const word = before.slice(start);
+        const term = /^([A-Za-z_]\w*)(>=|<=|!=|:|=|>|<)"?(.*)$/.exec(word);
+        if (term) {
+            const field = this.resolveField(term[1], schema);
+            if (!field) return { start, end: caret, items: [] };
+            const partial = term[3].toLowerCase();
+            const items = this.optionsFor(field, schema)
+                .filter(option => option.toLowerCase().startsWith(partial) && option.toLowerCase() !== partial)
+                .map(option => ({
+                    label: option,
+                    detail: field.label,
+                    insert: `${term[1]}${term[2]}${/\s/.test(option) ? `"${option}"` : option} `
+                }));
+            return { start, end: caret, items };
+        }
+        if (!/^[A-Za-z_]\w*$/.test(word)) return { start, end: caret, items: [] };
+        const lower = word.toLowerCase();
+        const items = this.fields(schema).flatMap(field => field.names
+            .filter(name => name.toLowerCase().startsWith(lower) && name.toLowerCase() !== lower)
+            .map(name => ({ label: `${name}:`, detail: field.label, insert: `${name}:` })));
+        ['AND', 'OR', 'NOT'].filter(keyword => keyword.toLowerCase().startsWith(lower) && keyword.toLowerCase() !== lower)
+            .forEach(keyword => items.push({ label: keyword, detail: 'Operator', insert: `${keyword} ` }));
+        return { start, end: caret, items: items.slice(0, 8) };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScoutingQuery;
+}
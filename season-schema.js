@@ -0,0 +1,140 @@
+/**
+ * Season Schema
+ * Loads the season scouting definition (season-schema.json) that drives match and pit forms, details, filters, export and charts
+ */
+
+class SeasonSchema {
+    constructor(definition = {}) {
+        this.season = definition.season || null;
+        this.name = definition.name || '';
+        this.scales = definition.scales || {};
+        this.sections = Array.isArray(definition.sections) ? definition.sections : [];
+        this.fields = this.sections.flatMap(section => section.fields.map(field => ({ ...field, section: section.key })));
+        this.pitSections = Array.isArray(definition.pitSections) ? definition.pitSections : [];
+        this.pitFields = this.pitSections.flatMap(section => section.fields.map(field => ({ ...field, section: section.key })));
+        // Suggested record tags; scouts can still add their own
+        this.tags = Array.isArray(definition.tags) ? definition.tags : [];
+    }
+
+    static async load(url = 'season-schema.json') {
+        const CACHE_KEY = 'seasonSchema';
+        try {
+            const response = await fetch(url, { cache: 'no-cache' });
+            if (!response.ok) throw new Error(`Schema request failed: ${response.status}`);
+            const definition = await response.json();
+            localStorage.setItem(CACHE_KEY, JSON.stringify(definition));
+            return new SeasonSchema(definition);
+        } catch (error) {
+            // Offline or served from file:// - fall back to the last schema we saw
+            const cached = localStorage.getItem(CACHE_KEY);
+            if (cached) return new SeasonSchema(JSON.parse(cached));
+            throw error;
+        }
+    }
+
+    // The original definition, so the schema can be rebuilt inside a worker
+    toJSON() {
+        return { season: this.season, name: this.name, scales: this.scales, tags: this.tags, sections: this.sections, pitSections: this.pitSections };
+    }
+
+    getField(key) {
+        return this.fields.find(field => field.key === key || field.alias === key) || null;
+    }
+
+    getScale(fieldOrKey) {
+        const field = typeof fieldOrKey === 'string' ? this.getField(fieldOrKey) : fieldOrKey;
+        return (field && this.scales[field.scale]) || {};
+    }
+
+    getScaleMax(field) {
+        const values = Object.values(this.getScale(field));
+        return values.length ? Math.max(...values) : 0;
+    }
+
+    ratingFields() {
+        return this.fields.filter(field => field.type === 'rating');
+    }
+
+    multiselectFields() {
+        return this.fields.filter(field => field.type === 'multiselect');
+    }
+
+    filterFields() {
+        return this.fields.filter(field => field.filter);
+    }
+
+    chartFields() {
+        return this.fields.filter(field => field.chartLabel);
+    }
+
+    getValue(record, field) {
+        const keys = [field.key, ...(field.legacyKeys || [])];
+        const key = keys.find(k => record[k] !== undefined && record[k] !== null && record[k] !== '');
+        return key ? record[key] : undefined;
+    }
+
+    // Rating labels map through their scale, number fields are used as-is, everything else has no score
+    getScore(record, field) {
+        const value = this.getValue(record, field);
+        if (value === undefined) return null;
+        if (field.type === 'rating') {
+            const score = this.getScale(field)[value];
+            return score === undefined ? null : score;
+        }
+        if (field.type === 'number') {
+            const number = Number(value);
+            return isNaN(number) ? null : number;
+        }
+        return null;
+    }
+
+    // Scaled to 0-100 so fields with different scales can share a chart axis
+    getNormalizedScore(record, field) {
+        const score = this.getScore(record, field);
+        const max = field.type === 'rating' ? this.getScaleMax(field) : field.max;
+        if (score === null || !max) return null;
+        return (score / max) * 100;
+    }
+
+    averageScore(records, field) {
+        const scores = records.map(record => this.getScore(record, field)).filter(score => score !== null);
+        if (!scores.length) return null;
+        return scores.reduce((a, b) => a + b, 0) / scores.length;
+    }
+
+    ratingLabel(field, score) {
+        if (score === null || score === undefined) return '';
+        const scale = this.getScale(field);
+        const rounded = Math.round(score);
+        return Object.keys(scale).find(label => scale[label] === rounded) || '';
+    }
+
+    formatValue(record, field) {
+        const value = this.getValue(record, field);
+        if (Array.isArray(value)) return value.join(', ');
+        return value === undefined ? '' : value;
+    }
+
+    // Schema fields first, in schema order, followed by any extra keys the record carries
+    orderRecord(record) {
+        const ordered = {};
+        this.fields.forEach(field => {
+            const value = this.getValue(record, field);
+            if (value !== undefined) ordered[field.key] = value;
+        });
+        Object.keys(record).forEach(key => {
+            if (!(key in ordered) && !this.fields.some(field => (field.legacyKeys || []).includes(key))) {
+                ordered[key] = record[key];
+            }
+        });
+        return ordered;
+    }
+
+    fillTemplate(template, value) {
+        return template.replace(/\{value\}/g, value).replace(/\{valueLower\}/g, String(value).toLowerCase());
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SeasonSchema;
+}
@@ -0,0 +1,53 @@
+/**
+ * Team Comments
+ * Threading, @mention parsing and formatting for the per-team discussion on the Scouting page.
+ * Comments are { id, teamNumber, parentId, author, body, mentions, pinned, createdAt }; replies carry their thread's parentId.
+ */
+
+class TeamComments {
+    static get MENTION_PATTERN() {
+        return /(^|[^\w@])@([\w.-]+)/g;
+    }
+
+    // Names are matched case-insensitively against known users and returned in their known spelling
+    static parseMentions(text, users = []) {
+        const known = new Map(users.filter(Boolean).map(user => [user.toLowerCase(), user]));
+        const mentions = [];
+        for (const [, , name] of String(text).matchAll(this.MENTION_PATTERN)) {
+            const user = known.get(name.toLowerCase()) || (known.size ? null : name);
+            if (user && !mentions.includes(user)) mentions.push(user);
+        }
+        return mentions;
+    }
+
+    static mentionsUser(comment, user) {
+        const name = String(user || '').toLowerCase();
+        return Boolean(name) && (comment.mentions || []).some(mention => mention.toLowerCase() === name);
+    }
+
+    // Top-level comments oldest first, each with its replies oldest first; replies to missing parents become threads
+    static buildThreads(comments) {
+        const byTime = [...comments].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+        const ids = new Set(byTime.map(comment => comment.id));
+        const threads = byTime
+            .filter(comment => !comment.parentId || !ids.has(comment.parentId))
+            .map(comment => ({ ...comment, replies: [] }));
+        const threadById = new Map(threads.map(thread => [thread.id, thread]));
+        byTime.forEach(comment => {
+            if (comment.parentId && threadById.has(comment.parentId)) threadById.get(comment.parentId).replies.push(comment);
+        });
+        return threads;
+    }
+
+    // Escapes the body and highlights mentions; escape is the caller's HTML escaper
+    static formatBody(comment, escape) {
+        const mentions = new Set((comment.mentions || []).map(mention => mention.toLowerCase()));
+        return escape(comment.body).replace(this.MENTION_PATTERN, (match, lead, name) =>
+            mentions.has(name.toLowerCase()) ? `${lead}<span class="comment-mention">@${name}</span>` : match)
+            .replace(/\n/g, '<br>');
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TeamComments;
+}
@@ -0,0 +1,102 @@
+/**
+ * Virtual List
+ * Renders only the rows of a long list that are inside (or near) the scroll viewport.
+ * Items are laid out in rows of equal height; with minColumnWidth set, each row holds as many columns as fit (grid mode).
+ */
+
+class VirtualList {
+    constructor(container, { renderItem, minColumnWidth = 0, gap = 0, estimatedRowHeight = 160, overscan = 2 } = {}) {
+        this.container = container;
+        this.options = { renderItem, minColumnWidth, gap, estimatedRowHeight, overscan };
+        this.items = [];
+        this.emptyHtml = '';
+        this.rowHeight = 0;
+        this.range = null;
+        this.frame = null;
+        container.classList.add('virtual-list');
+        container.innerHTML = '<div class="virtual-spacer"></div><div class="virtual-window"></div>';
+        this.spacer = container.firstElementChild;
+        this.window = container.lastElementChild;
+        container.addEventListener('scroll', () => this.schedule(), { passive: true });
+        if (typeof ResizeObserver !== 'undefined') {
+            this.resizeObserver = new ResizeObserver(() => this.schedule(true));
+            this.resizeObserver.observe(container);
+        }
+    }
+
+    // Switching between grid and table changes the row shape, so measured heights start over
+    configure(options) {
+        Object.assign(this.options, options);
+        this.rowHeight = 0;
+        this.range = null;
+    }
+
+    setItems(items, { renderItem = this.options.renderItem, emptyHtml = '', resetScroll = false } = {}) {
+        this.items = items;
+        this.options.renderItem = renderItem;
+        this.emptyHtml = emptyHtml;
+        this.range = null;
+        if (resetScroll) this.container.scrollTop = 0;
+        this.render();
+    }
+
+    getColumnCount() {
+        const { minColumnWidth, gap } = this.options;
+        if (!minColumnWidth) return 1;
+        const width = this.container.clientWidth || minColumnWidth;
+        return Math.max(1, Math.floor((width + gap) / (minColumnWidth + gap)));
+    }
+
+    schedule(force = false) {
+        if (force) this.range = null;
+        if (this.frame) return;
+        this.frame = requestAnimationFrame(() => this.render());
+    }
+
+    render() {
+        if (this.frame) cancelAnimationFrame(this.frame);
+        this.frame = null;
+        if (!this.items.length) {
+            this.spacer.style.height = '0px';
+            this.window.style.transform = '';
+            this.window.innerHTML = this.emptyHtml;
+            return;
+        }
+        const { gap, overscan, estimatedRowHeight } = this.options;
+        const columns = this.getColumnCount();
+        const rowSpan = (this.rowHeight || estimatedRowHeight) + gap;
+        const rows = Math.ceil(this.items.length / columns);
+        const scrollTop = this.container.scrollTop;
+        const viewport = this.container.clientHeight || window.innerHeight;
+        const firstRow = Math.max(0, Math.floor(scrollTop / rowSpan) - overscan);
+        const lastRow = Math.min(rows, Math.ceil((scrollTop + viewport) / rowSpan) + overscan);
+        const range = `${firstRow}:${lastRow}:${columns}:${rowSpan}`;
+        if (range === this.range) return;
+        this.range = range;
+
+        this.spacer.style.height = `${rows * rowSpan - gap}px`;
+        this.window.style.transform = `translateY(${firstRow * rowSpan}px)`;
+        this.window.style.gridTemplateColumns = `repeat(${columns}, minmax(0, 1fr))`;
+        this.window.style.gridAutoRows = this.rowHeight ? `${this.rowHeight}px` : '';
+        this.window.style.gap = `${gap}px`;
+        const start = firstRow * columns;
+        const end = Math.min(this.items.length, lastRow * columns);
+        this.window.innerHTML = this.items.slice(start, end).map((item, offset) => this.options.renderItem(item, start + offset)).join('');
+
+        // Rows only ever grow to the tallest item seen, so positions stay stable while scrolling
+        const tallest = Math.max(0, ...Array.from(this.window.children, child => Math.max(child.offsetHeight || 0, child.scrollHeight || 0)));
+        if (tallest > this.rowHeight) {
+            this.rowHeight = tallest;
+            this.schedule(true);
+        }
+    }
+
+    destroy() {
+        if (this.frame) cancelAnimationFrame(this.frame);
+        if (this.resizeObserver) this.resizeObserver.disconnect();
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VirtualList;
+}